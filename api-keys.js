@@ -0,0 +1,192 @@
+/**
+ * API Keys - Bearer-token authentication with scopes and per-key daily quotas
+ *
+ * Keys live in data/api-keys.json (only SHA-256 hashes are stored).
+ *
+ * Env:
+ *   API_KEYS_FILE   path of the key file (default ./data/api-keys.json)
+ *   ADMIN_API_KEY   extra admin key that is never written to disk
+ *   API_AUTH        set to 'off' to disable authentication (local development only)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ApiError, sendError } = require('./errors');
+
+const SCOPES = ['chat', 'image', 'audio', 'video', 'admin'];
+const KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json');
+const AUTH_DISABLED = process.env.API_AUTH === 'off';
+
+let keys = null;       // id -> record
+let saveTimer = null;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function today() {
+    return new Date().toISOString().substring(0, 10);
+}
+
+// Seconds until the daily quota resets (UTC midnight)
+function secondsUntilReset() {
+    const now = new Date();
+    const reset = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((reset - now.getTime()) / 1000);
+}
+
+function saveKeys() {
+    fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true });
+    const tmp = `${KEYS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.values(keys), null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, KEYS_FILE);
+}
+
+// Usage counters change on every request, so batch those writes
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        try { saveKeys(); } catch (e) { console.error('[Auth] Error saving API keys:', e.message); }
+    }, 1000);
+    saveTimer.unref();
+}
+
+function loadKeys() {
+    if (keys) return keys;
+    keys = {};
+    if (fs.existsSync(KEYS_FILE)) {
+        try {
+            for (const record of JSON.parse(fs.readFileSync(KEYS_FILE, 'utf-8'))) keys[record.id] = record;
+        } catch (e) {
+            // Refuse to start with an unreadable key file rather than silently dropping all keys
+            throw new Error(`[Auth] Cannot read ${KEYS_FILE}: ${e.message}`);
+        }
+    }
+    return keys;
+}
+
+function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('scopes must be a non-empty array');
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`Unknown scopes: ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+}
+
+// Public view of a key record (never includes the hash)
+function describeKey(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        prefix: record.prefix,
+        scopes: record.scopes,
+        dailyQuota: record.dailyQuota,
+        usage: record.usage.day === today() ? record.usage.count : 0,
+        createdAt: record.createdAt,
+        lastUsedAt: record.lastUsedAt,
+        revoked: record.revoked
+    };
+}
+
+// Create a key. The plaintext is returned only here.
+function createKey({ name, scopes, dailyQuota = null } = {}) {
+    validateScopes(scopes);
+    if (dailyQuota !== null && (!Number.isInteger(dailyQuota) || dailyQuota < 1)) {
+        throw new Error('dailyQuota must be a positive integer or null');
+    }
+
+    const key = `sk-${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name: name || 'unnamed',
+        prefix: key.substring(0, 10),
+        hash: hashKey(key),
+        scopes,
+        dailyQuota,
+        usage: { day: today(), count: 0 },
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revoked: false
+    };
+    loadKeys()[record.id] = record;
+    saveKeys();
+    return { key, ...describeKey(record) };
+}
+
+function listKeys() {
+    return Object.values(loadKeys()).map(describeKey);
+}
+
+function revokeKey(id) {
+    const record = loadKeys()[id];
+    if (!record) return false;
+    record.revoked = true;
+    saveKeys();
+    return true;
+}
+
+// Generate a first admin key when nothing is configured, so a fresh deploy is never open
+function bootstrap() {
+    if (AUTH_DISABLED) {
+        console.warn('[Auth] ⚠️ API_AUTH=off - every route is public!');
+        return;
+    }
+    if (process.env.ADMIN_API_KEY || Object.keys(loadKeys()).length > 0) return;
+
+    const { key } = createKey({ name: 'bootstrap-admin', scopes: ['admin'] });
+    console.log(`[Auth] No API keys configured. Generated admin key (shown once): ${key}`);
+}
+
+function findKey(key) {
+    if (process.env.ADMIN_API_KEY && key === process.env.ADMIN_API_KEY) {
+        return { id: 'env-admin', name: 'ADMIN_API_KEY', scopes: ['admin'], dailyQuota: null, env: true };
+    }
+    const hash = hashKey(key);
+    return Object.values(loadKeys()).find(r => !r.revoked && r.hash === hash) || null;
+}
+
+// Count one request against the key. Returns false when the daily quota is used up.
+function consumeQuota(record) {
+    if (record.env) return true;
+    if (record.usage.day !== today()) record.usage = { day: today(), count: 0 };
+    if (record.dailyQuota !== null && record.usage.count >= record.dailyQuota) return false;
+    record.usage.count++;
+    record.lastUsedAt = new Date().toISOString();
+    scheduleSave();
+    return true;
+}
+
+// Express middleware: require a Bearer key carrying `scope` (admin implies every scope).
+// `scope` may be a list (any of them is enough). quota: false skips usage counting (status polling).
+function requireScope(scope, { quota = true } = {}) {
+    const accepted = Array.isArray(scope) ? scope : [scope];
+    return (req, res, next) => {
+        if (AUTH_DISABLED) return next();
+
+        const fail = (code, message, options) => sendError(res, new ApiError(code, message, options));
+
+        const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+        if (!match) return fail('unauthorized', 'Missing API key (expected Authorization: Bearer <key>)');
+
+        const record = findKey(match[1].trim());
+        if (!record) return fail('unauthorized', 'Invalid API key');
+        if (!accepted.some(s => record.scopes.includes(s)) && !record.scopes.includes('admin')) {
+            return fail('forbidden', `API key lacks the '${accepted.join("' or '")}' scope`);
+        }
+        if (quota && !consumeQuota(record)) {
+            return fail('key_quota_exceeded', `Daily quota of ${record.dailyQuota} requests exceeded`, { retryAfter: secondsUntilReset() });
+        }
+
+        req.apiKey = { id: record.id, name: record.name, scopes: record.scopes };
+        next();
+    };
+}
+
+module.exports = {
+    SCOPES,
+    bootstrap,
+    requireScope,
+    createKey,
+    listKeys,
+    revokeKey
+};
@@ -0,0 +1,110 @@
+/**
+ * Audio Fallbacks - Declarative provider/model/voice chains for TTS and voice conversion
+ *
+ * A chain is a list of steps { provider, model, voice } tried in order until one produces audio.
+ * "$model" and "$voice" stand for what the request asked for; a step with no provider uses
+ * Puter's default engine. Strict mode keeps only the first step, so the requested voice is
+ * never silently swapped.
+ *
+ * Env:
+ *   TTS_FALLBACKS   JSON array of steps replacing the default TTS chain
+ *   S2S_FALLBACKS   same for voice conversion
+ *   AUDIO_STRICT    'true' makes strict the default (requests can still send strict: false)
+ */
+
+const { ChatRequestError } = require('./chat-request');
+const models = require('./models');
+const { resolveVoice } = require('./voices');
+
+const RACHEL = '21m00Tcm4TlvDq8ikWAM';
+const MAX_STEPS = 6;
+
+// Voice conversion always needs a target voice
+const DEFAULT_VOICES = { s2s: RACHEL };
+
+const DEFAULT_CHAINS = {
+    tts: [
+        { provider: 'elevenlabs', model: '$model', voice: '$voice' },
+        { provider: 'elevenlabs', model: 'eleven_flash_v2_5', voice: '$voice' }, // More stable sometimes
+        { provider: 'elevenlabs', model: 'eleven_multilingual_v2', voice: RACHEL },
+        { provider: null, model: null, voice: null } // Puter default
+    ],
+    s2s: [
+        { provider: 'elevenlabs', model: '$model', voice: '$voice' },
+        { provider: 'elevenlabs', model: '$model', voice: RACHEL }
+    ]
+};
+
+// Check steps from a request or the environment (throws ChatRequestError)
+function validateSteps(steps, param) {
+    if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+        throw new ChatRequestError(`${param} must be an array of 1 to ${MAX_STEPS} steps`, param);
+    }
+    steps.forEach((step, i) => {
+        if (!step || typeof step !== 'object' || Array.isArray(step)) {
+            throw new ChatRequestError(`${param}[${i}] must be an object { provider, model, voice }`, `${param}[${i}]`);
+        }
+        for (const key of ['provider', 'model', 'voice']) {
+            if (step[key] !== undefined && step[key] !== null && typeof step[key] !== 'string') {
+                throw new ChatRequestError(`${param}[${i}].${key} must be a string or null`, `${param}[${i}].${key}`);
+            }
+        }
+    });
+    return steps;
+}
+
+function configuredChain(kind) {
+    const value = process.env[`${kind.toUpperCase()}_FALLBACKS`];
+    if (!value) return DEFAULT_CHAINS[kind];
+    try {
+        return validateSteps(JSON.parse(value), `${kind.toUpperCase()}_FALLBACKS`);
+    } catch (e) {
+        console.error(`[Audio] Ignoring invalid ${kind.toUpperCase()}_FALLBACKS: ${e.message}`);
+        return DEFAULT_CHAINS[kind];
+    }
+}
+
+// Concrete steps for a request: placeholders filled, voice names mapped, models checked against
+// the registry, duplicates dropped. `model` must already be resolved.
+function resolveChain(kind, { model, voice } = {}, { strict, fallbacks } = {}) {
+    if (strict !== undefined && typeof strict !== 'boolean') {
+        throw new ChatRequestError('strict must be a boolean', 'strict');
+    }
+    const template = fallbacks !== undefined ? validateSteps(fallbacks, 'fallbacks') : configuredChain(kind);
+    const isStrict = strict ?? process.env.AUDIO_STRICT === 'true';
+    voice = voice || DEFAULT_VOICES[kind] || null;
+
+    const seen = new Set();
+    const chain = [];
+    for (const step of isStrict ? template.slice(0, 1) : template) {
+        const stepVoice = step.voice === '$voice' ? voice : step.voice;
+        const stepModel = step.model === '$model' ? model : step.model;
+        const concrete = {
+            provider: step.provider || null,
+            model: stepModel ? models.resolveModel(stepModel, kind, 'fallbacks') : null,
+            voice: stepVoice ? (resolveVoice(stepVoice) || stepVoice) : null
+        };
+        const key = JSON.stringify(concrete);
+        if (!seen.has(key)) {
+            seen.add(key);
+            chain.push(concrete);
+        }
+    }
+    return chain;
+}
+
+// What to tell the caller: which step produced the audio and why earlier steps failed
+function describeOutcome(chain, step, attempts) {
+    return {
+        producedBy: { provider: step.provider, model: step.model, voice: step.voice },
+        requested: chain[0],
+        fallback: attempts.length > 0,
+        attempts
+    };
+}
+
+module.exports = {
+    DEFAULT_CHAINS,
+    resolveChain,
+    describeOutcome
+};
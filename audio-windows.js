@@ -0,0 +1,196 @@
+/**
+ * Audio Windows - Cuts recordings that exceed the transcription provider's size limit into
+ * overlapping windows, and merges the per-window transcripts back into one
+ *
+ * Only MP3 (cut at frame boundaries) and WAV (cut at sample boundaries, header rewritten) can be
+ * split without a decoder; other formats over the limit are rejected.
+ *
+ * Env:
+ *   STT_MAX_MB            provider limit per request (default 24, Whisper accepts 25)
+ *   STT_WINDOW_OVERLAP    seconds shared by consecutive windows (default 5)
+ */
+
+const fs = require('fs');
+const mp3 = require('./mp3');
+
+const MAX_BYTES = Math.round((Number(process.env.STT_MAX_MB) || 24) * 1024 * 1024);
+const OVERLAP_SECONDS = Number(process.env.STT_WINDOW_OVERLAP) || 5;
+const SPLITTABLE = ['audio/mpeg', 'audio/wav'];
+
+// Where a recording is read from: { size, read(offset, length), close() }.
+// Uploads stay on disk, only the window being sent is loaded.
+function bufferSource(buf) {
+    return { size: buf.length, read: async (offset, length) => buf.subarray(offset, offset + length), close: async () => { } };
+}
+
+async function fileSource(file) {
+    const handle = await fs.promises.open(file, 'r');
+    const { size } = await handle.stat();
+    return {
+        size,
+        read: async (offset, length) => {
+            const buf = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(buf, 0, length, offset);
+            return buf.subarray(0, bytesRead);
+        },
+        close: () => handle.close()
+    };
+}
+
+// MP3: group frames into windows of at most maxBytes, each starting `overlap` seconds early.
+// Boundaries are found while the frames stream by; only the frames of the last `overlap` seconds
+// (candidates to open the next window) are kept.
+async function splitMp3(source, maxBytes, overlap) {
+    const windows = [];
+    let first = null;   // first frame of the window being filled
+    let last = null;    // its last frame
+    let bytes = 0;
+    let recent = [];    // its frames from the last `overlap` seconds
+    let time = 0;
+    let index = 0;
+
+    for await (const frame of mp3.frames(source)) {
+        const f = { offset: frame.offset, length: frame.length, start: time, index: index++ };
+        time += frame.duration;
+
+        while (first && bytes + f.length > maxBytes) {
+            windows.push({ start: first.start, end: f.start, offset: first.offset, length: last.offset + last.length - first.offset });
+            // Next window starts `overlap` seconds before this one ended, but always moves forward
+            recent = recent.filter(r => r.index > first.index && f.start - r.start <= overlap);
+            first = recent[0] || null;
+            last = recent[recent.length - 1] || null;
+            bytes = recent.reduce((sum, r) => sum + r.length, 0);
+        }
+        if (!first) {
+            if (f.length > maxBytes) return null; // a frame bigger than the limit: not a real MP3
+            first = f;
+        }
+        bytes += f.length;
+        last = f;
+        recent.push(f);
+        while (f.start - recent[0].start > overlap) recent.shift();
+    }
+    if (!first) return null;
+
+    windows.push({ start: first.start, end: time, offset: first.offset, length: last.offset + last.length - first.offset });
+    return windows;
+}
+
+function wavHeader(fmt, dataSize) {
+    const header = Buffer.alloc(12 + 8 + fmt.length + 8);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(header.length - 8 + dataSize, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(fmt.length, 16);
+    fmt.copy(header, 20);
+    header.write('data', 20 + fmt.length, 'latin1');
+    header.writeUInt32LE(dataSize, 24 + fmt.length);
+    return header;
+}
+
+// WAV: slice the PCM data chunk, each window gets its own header
+async function splitWav(source, maxBytes, overlap) {
+    let fmt = null;
+    let data = null; // { offset, length } in the source
+    for (let offset = 12; offset + 8 <= source.size;) {
+        const chunk = await source.read(offset, 8);
+        const id = chunk.toString('latin1', 0, 4);
+        const size = chunk.readUInt32LE(4);
+        if (id === 'fmt ') fmt = Buffer.from(await source.read(offset + 8, size));
+        if (id === 'data') data = { offset: offset + 8, length: Math.min(source.size - offset - 8, size) };
+        offset += 8 + size + (size % 2);
+    }
+    if (!fmt || !data || fmt.length < 16) return null;
+
+    const byteRate = fmt.readUInt32LE(8);
+    const blockAlign = fmt.readUInt16LE(12) || 1;
+    const align = (n) => Math.floor(n / blockAlign) * blockAlign;
+    const windowBytes = align(maxBytes - 64 - fmt.length);
+    const overlapBytes = Math.min(align(overlap * byteRate), align(windowBytes / 2));
+    if (!byteRate || windowBytes <= 0) return null;
+
+    const windows = [];
+    for (let from = 0; from < data.length; from += windowBytes - overlapBytes) {
+        const to = Math.min(data.length, from + windowBytes);
+        windows.push({ start: from / byteRate, end: to / byteRate, offset: data.offset + from, length: to - from, header: wavHeader(fmt, to - from) });
+        if (to >= data.length) break;
+    }
+    return windows;
+}
+
+// Windows for a recording: [{ start, end, offset, length, header? }] (seconds, then the byte
+// range in the source), one window when it already fits. null when it is too big and cannot be split.
+async function splitAudio(source, mimeType, { maxBytes = MAX_BYTES, overlap = OVERLAP_SECONDS } = {}) {
+    if (source.size <= maxBytes) return [{ start: 0, end: null, offset: 0, length: source.size }];
+    if (mimeType === 'audio/mpeg') return splitMp3(source, maxBytes, overlap);
+    if (mimeType === 'audio/wav') return splitWav(source, maxBytes, overlap);
+    return null;
+}
+
+// Bytes of one window, ready to send
+async function readWindow(source, win) {
+    const data = await source.read(win.offset, win.length);
+    return win.header ? Buffer.concat([win.header, data]) : data;
+}
+
+const words = (text) => text.split(/\s+/).filter(Boolean);
+const plain = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// Join two texts, dropping the longest run of words the overlap produced in both
+function joinText(a, b) {
+    const left = words(a);
+    const right = words(b);
+    for (let n = Math.min(30, left.length, right.length); n > 0; n--) {
+        const tail = left.slice(-n).map(plain).join(' ');
+        if (tail && tail === right.slice(0, n).map(plain).join(' ')) return [...left, ...right.slice(n)].join(' ');
+    }
+    return [...left, ...right].join(' ');
+}
+
+// Merge the transcripts of consecutive windows. `parts` are { transcript, timed }, transcript
+// normalized by transcripts.js and timed when the provider returned real segments.
+// Segments/words are shifted to absolute time; in each overlap the earlier window keeps
+// everything before the overlap's midpoint and the later one everything after it.
+function mergeTranscripts(parts, windows) {
+    const segments = [];
+    const wordList = [];
+    let text = '';
+    parts.forEach(({ transcript: part, timed }, i) => {
+        const win = windows[i];
+        const from = i === 0 ? -Infinity : (windows[i - 1].end + win.start) / 2;
+        const to = i === parts.length - 1 ? Infinity : (win.end + windows[i + 1].start) / 2;
+        const keep = (item) => item.start + win.start >= from && item.start + win.start < to;
+        const shift = (item) => ({ ...item, start: item.start + win.start, end: item.end + win.start });
+
+        if (timed) {
+            segments.push(...part.segments.filter(keep).map(shift));
+            wordList.push(...(part.words || []).filter(keep).map(shift));
+        } else {
+            // No timing inside the window: one segment per window, overlap removed from the text
+            segments.push({ start: win.start, end: win.end ?? win.start, text: part.text });
+            text = joinText(text, part.text);
+        }
+    });
+
+    const merged = segments.map((s, id) => ({ id, ...s }));
+    const { task, language } = parts[0].transcript;
+    return {
+        task,
+        language,
+        duration: windows[windows.length - 1].end,
+        text: text || merged.map(s => s.text).join(' '),
+        segments: merged,
+        ...(wordList.length ? { words: wordList } : {})
+    };
+}
+
+module.exports = {
+    MAX_BYTES,
+    SPLITTABLE,
+    bufferSource,
+    fileSource,
+    splitAudio,
+    readWindow,
+    mergeTranscripts
+};
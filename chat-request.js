@@ -0,0 +1,238 @@
+/**
+ * Chat Request - Normalizes incoming chat payloads into what puter.ai.chat expects
+ *
+ * Env:
+ *   IMAGE_MAX_MB      max size of one inline image (default 20)
+ *   IMAGE_MAX_COUNT   max images per request (default 10)
+ */
+
+const { sniffMimeType } = require('./media-store');
+const { ApiError, codeForStatus } = require('./errors');
+
+const ROLES = ['user', 'assistant', 'system', 'tool'];
+const PART_TYPES = ['text', 'image_url', 'image'];
+
+const IMAGE_LIMITS = {
+    types: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'],
+    maxBytes: Math.round((Number(process.env.IMAGE_MAX_MB) || 20) * 1024 * 1024),
+    maxCount: Number(process.env.IMAGE_MAX_COUNT) || 10
+};
+
+// Thrown for payloads we can reject before touching the browser (HTTP 400, or 413/415 for images)
+class ChatRequestError extends ApiError {
+    constructor(message, param = null, status = 400) {
+        super(codeForStatus(status), message, { param });
+        this.name = 'ChatRequestError';
+    }
+}
+
+// Check an inline image by content: supported format and within the size limit
+function checkInlineImage(base64, where) {
+    const bytes = Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+    if (bytes > IMAGE_LIMITS.maxBytes) {
+        throw new ChatRequestError(`${where}: image is ${(bytes / 1048576).toFixed(1)}MB, the limit is ${IMAGE_LIMITS.maxBytes / 1048576}MB`, where, 413);
+    }
+    const type = sniffMimeType(Buffer.from(base64.substring(0, 64), 'base64'));
+    if (!IMAGE_LIMITS.types.includes(type)) {
+        throw new ChatRequestError(`${where}: unsupported image format (expected ${IMAGE_LIMITS.types.join(', ')})`, where, 415);
+    }
+    return type;
+}
+
+// Puter's image part for inline base64 data. The declared type is replaced by the sniffed one,
+// providers reject mismatches.
+function base64Image(data, where) {
+    const clean = data.replace(/\s/g, '');
+    return { type: 'image', source: { type: 'base64', media_type: checkInlineImage(clean, where), data: clean } };
+}
+
+// Convert an OpenAI image_url (data URI or http URL) into Puter's image part
+function convertImageUrl(url, where) {
+    if (typeof url !== 'string' || !url) {
+        throw new ChatRequestError(`${where}.image_url.url must be a non-empty string`, where);
+    }
+
+    const dataUri = url.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+    if (dataUri) {
+        const mediaType = dataUri[1] || 'image/png';
+        if (!mediaType.startsWith('image/')) {
+            throw new ChatRequestError(`${where}.image_url.url must be an image data URI (got ${mediaType})`, where, 415);
+        }
+        if (!dataUri[2]) {
+            throw new ChatRequestError(`${where}.image_url.url data URI must be base64 encoded`, where);
+        }
+        return base64Image(dataUri[3], where);
+    }
+
+    if (/^https?:\/\//i.test(url)) {
+        return { type: 'image', source: { type: 'url', url } };
+    }
+
+    throw new ChatRequestError(`${where}.image_url.url must be an http(s) URL or a data URI`, where);
+}
+
+// Check a part already in Puter's image format, the same way as image_url parts:
+// { source: { type: 'base64', media_type, data } } or { source: { type: 'url', url } }
+function convertImagePart(source, where) {
+    if (source?.type === 'base64') {
+        if (typeof source.data !== 'string' || !source.data) {
+            throw new ChatRequestError(`${where}.source.data must be a non-empty base64 string`, where);
+        }
+        if (source.media_type !== undefined && !String(source.media_type).startsWith('image/')) {
+            throw new ChatRequestError(`${where}.source.media_type must be an image type (got ${source.media_type})`, where, 415);
+        }
+        return base64Image(source.data, where);
+    }
+    if (source?.type === 'url') {
+        if (typeof source.url !== 'string' || !/^https?:\/\//i.test(source.url)) {
+            throw new ChatRequestError(`${where}.source.url must be an http(s) URL`, where);
+        }
+        return { type: 'image', source: { type: 'url', url: source.url } };
+    }
+    throw new ChatRequestError(`${where}.source.type must be 'base64' or 'url'`, where);
+}
+
+// Validate a single content part and convert it to Puter's format
+function normalizePart(part, where) {
+    if (typeof part === 'string') return { type: 'text', text: part };
+    if (!part || typeof part !== 'object') {
+        throw new ChatRequestError(`${where} must be an object or string`, where);
+    }
+    if (!PART_TYPES.includes(part.type)) {
+        throw new ChatRequestError(`${where}.type must be one of ${PART_TYPES.join(', ')} (got ${JSON.stringify(part.type)})`, where);
+    }
+
+    switch (part.type) {
+        case 'text':
+            if (typeof part.text !== 'string') {
+                throw new ChatRequestError(`${where}.text must be a string`, where);
+            }
+            return { type: 'text', text: part.text };
+        case 'image_url': {
+            // OpenAI allows both { image_url: { url } } and the shorthand { image_url: "..." }
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+            return convertImageUrl(url, where);
+        }
+        default:
+            return convertImagePart(part.source, where);
+    }
+}
+
+// Validate message content (string, parts array or null)
+function normalizeContent(content, where, allowEmpty) {
+    if (typeof content === 'string') return content;
+    if (content === null || content === undefined) {
+        if (allowEmpty) return '';
+        throw new ChatRequestError(`${where}.content is required`, `${where}.content`);
+    }
+    if (!Array.isArray(content)) {
+        throw new ChatRequestError(`${where}.content must be a string or an array of content parts`, `${where}.content`);
+    }
+    if (content.length === 0 && !allowEmpty) {
+        throw new ChatRequestError(`${where}.content must not be empty`, `${where}.content`);
+    }
+    return content.map((part, i) => normalizePart(part, `${where}.content[${i}]`));
+}
+
+// Validate one message
+function normalizeMessage(msg, index) {
+    const where = `messages[${index}]`;
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+        throw new ChatRequestError(`${where} must be an object`, where);
+    }
+    if (!ROLES.includes(msg.role)) {
+        throw new ChatRequestError(`${where}.role must be one of ${ROLES.join(', ')} (got ${JSON.stringify(msg.role)})`, `${where}.role`);
+    }
+    if (msg.role === 'tool' && typeof msg.tool_call_id !== 'string') {
+        throw new ChatRequestError(`${where}.tool_call_id is required for tool messages`, `${where}.tool_call_id`);
+    }
+
+    // Assistant turns that only carry tool calls may have empty content
+    const allowEmpty = msg.role === 'assistant' && Array.isArray(msg.tool_calls);
+    const out = { role: msg.role, content: normalizeContent(msg.content, where, allowEmpty) };
+    if (msg.name) out.name = msg.name;
+    if (msg.tool_calls) out.tool_calls = msg.tool_calls;
+    if (msg.tool_call_id) out.tool_call_id = msg.tool_call_id;
+    return out;
+}
+
+// Turn string content into a parts array so it can be concatenated
+function toParts(content) {
+    if (Array.isArray(content)) return content;
+    return content ? [{ type: 'text', text: content }] : [];
+}
+
+// Tool results and tool-calling assistant turns carry ids, so they are never merged
+function canMerge(a, b) {
+    return a.role === b.role &&
+        a.role !== 'tool' &&
+        !a.tool_calls && !b.tool_calls &&
+        a.name === b.name;
+}
+
+// Merge consecutive turns with the same role (Claude & Gemini reject them)
+function mergeConsecutive(messages) {
+    const merged = [];
+    for (const msg of messages) {
+        const prev = merged[merged.length - 1];
+        if (prev && canMerge(prev, msg)) {
+            if (typeof prev.content === 'string' && typeof msg.content === 'string') {
+                prev.content = [prev.content, msg.content].filter(Boolean).join('\n\n');
+            } else {
+                prev.content = [...toParts(prev.content), ...toParts(msg.content)];
+            }
+        } else {
+            merged.push({ ...msg });
+        }
+    }
+    return merged;
+}
+
+// Convert the `system` field (string or parts) into leading system messages
+function systemMessages(system) {
+    if (system === undefined || system === null || system === '') return [];
+    if (typeof system === 'string') return [{ role: 'system', content: system }];
+    if (Array.isArray(system)) {
+        return [{ role: 'system', content: normalizeContent(system, 'system', false) }];
+    }
+    throw new ChatRequestError('system must be a string or an array of content parts', 'system');
+}
+
+// Normalize { prompt, messages, system } into puter.ai.chat input.
+// Returns the plain prompt string when there is nothing to wrap, otherwise a messages array.
+function normalizeChatInput({ prompt, messages, system } = {}) {
+    if (messages === undefined || messages === null) {
+        if (typeof prompt !== 'string' || !prompt) {
+            throw new ChatRequestError('Either prompt (string) or messages (array) is required', prompt === undefined ? 'messages' : 'prompt');
+        }
+        const sys = systemMessages(system);
+        if (sys.length === 0) return prompt;
+        return [...sys, { role: 'user', content: prompt }];
+    }
+
+    if (!Array.isArray(messages)) {
+        throw new ChatRequestError('messages must be an array', 'messages');
+    }
+    if (messages.length === 0) {
+        throw new ChatRequestError('messages must not be empty', 'messages');
+    }
+
+    const normalized = messages.map(normalizeMessage);
+    const result = mergeConsecutive([...systemMessages(system), ...normalized]);
+
+    const images = result.reduce((n, m) => n + (Array.isArray(m.content) ? m.content.filter(p => p.type === 'image').length : 0), 0);
+    if (images > IMAGE_LIMITS.maxCount) {
+        throw new ChatRequestError(`Too many images (${images}), the limit is ${IMAGE_LIMITS.maxCount} per request`, 'messages');
+    }
+
+    if (!result.some(m => m.role !== 'system')) {
+        throw new ChatRequestError('messages must contain at least one non-system message', 'messages');
+    }
+    return result;
+}
+
+module.exports = {
+    IMAGE_LIMITS,
+    ChatRequestError,
+    normalizeChatInput
+};
@@ -1,63 +1,47 @@
 /**
- * Chat Store - Simple JSON file-based chat storage
+ * Chat Store - Chat storage behind a pluggable driver (see storage/index.js)
  */
 
-const fs = require('fs');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { createDriver } = require('./storage');
 
-const CHATS_FILE = path.join(__dirname, 'data', 'chats.json');
+// Chat ids are the uuids createChat() hands out. Ids from URLs are checked against this before they
+// reach a driver, so names like __proto__ can never index a driver's storage.
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-// Ensure data directory exists
-function ensureDataDir() {
-    const dataDir = path.dirname(CHATS_FILE);
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-    }
-}
+let driver = null;
 
-// Load chats from file
-function loadChats() {
-    ensureDataDir();
-    if (!fs.existsSync(CHATS_FILE)) {
-        return {};
-    }
-    try {
-        const data = fs.readFileSync(CHATS_FILE, 'utf-8');
-        return JSON.parse(data);
-    } catch (e) {
-        console.error('[ChatStore] Error loading chats:', e.message);
-        return {};
+// Open the configured driver on first use
+function getDriver() {
+    if (!driver) {
+        driver = createDriver();
+        console.log(`[ChatStore] Using ${driver.name} storage driver`);
     }
+    return driver;
 }
 
-// Save chats to file
-function saveChats(chats) {
-    ensureDataDir();
-    fs.writeFileSync(CHATS_FILE, JSON.stringify(chats, null, 2));
+function isChatId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
 }
 
 // Get all chats
 function getAllChats() {
-    const chats = loadChats();
-    return Object.values(chats).map(chat => ({
+    return getDriver().list().map(chat => ({
         id: chat.id,
         title: chat.title,
         model: chat.model,
         createdAt: chat.createdAt,
-        messageCount: chat.messages.length
+        messageCount: chat.messageCount ?? chat.messages.length
     }));
 }
 
 // Get chat by ID
 function getChat(id) {
-    const chats = loadChats();
-    return chats[id] || null;
+    return isChatId(id) ? getDriver().get(id) : null;
 }
 
 // Create new chat
 function createChat(title, model = 'gemini-3-pro-preview') {
-    const chats = loadChats();
     const id = uuidv4();
     const chat = {
         id,
@@ -66,28 +50,17 @@ function createChat(title, model = 'gemini-3-pro-preview') {
         createdAt: new Date().toISOString(),
         messages: []
     };
-    chats[id] = chat;
-    saveChats(chats);
+    getDriver().insertChat(chat);
     return chat;
 }
 
 // Delete chat
 function deleteChat(id) {
-    const chats = loadChats();
-    if (chats[id]) {
-        delete chats[id];
-        saveChats(chats);
-        return true;
-    }
-    return false;
+    return isChatId(id) && getDriver().deleteChat(id);
 }
 
 // Add message to chat
 function addMessage(chatId, role, content, imageUrl = null) {
-    const chats = loadChats();
-    const chat = chats[chatId];
-    if (!chat) return null;
-
     const message = {
         id: uuidv4(),
         role, // 'user' or 'assistant'
@@ -96,38 +69,55 @@ function addMessage(chatId, role, content, imageUrl = null) {
         createdAt: new Date().toISOString()
     };
 
-    chat.messages.push(message);
-    saveChats(chats);
+    if (!isChatId(chatId) || !getDriver().appendMessage(chatId, message)) return null;
     return message;
 }
 
 // Update chat model
 function updateChatModel(chatId, model) {
-    const chats = loadChats();
-    const chat = chats[chatId];
-    if (!chat) return null;
-    chat.model = model;
-    saveChats(chats);
-    return chat;
+    if (!isChatId(chatId) || !getDriver().updateChat(chatId, { model })) return null;
+    return getChat(chatId);
+}
+
+// Update chat title
+function updateChatTitle(chatId, title) {
+    if (!isChatId(chatId) || !getDriver().updateChat(chatId, { title })) return null;
+    return getChat(chatId);
+}
+
+// One stored (or about to be stored) message in AI context form
+function formatMessageForAI(msg) {
+    return {
+        role: msg.role,
+        // Attached images travel as OpenAI-style content parts
+        content: msg.imageUrl
+            ? [{ type: 'text', text: msg.content || '' }, { type: 'image_url', image_url: { url: msg.imageUrl } }]
+            : msg.content
+    };
 }
 
 // Format chat messages for AI context
 function formatMessagesForAI(chatId) {
     const chat = getChat(chatId);
     if (!chat) return [];
+    return chat.messages.map(formatMessageForAI);
+}
 
-    return chat.messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-    }));
+// Wait for pending writes (call before exiting)
+function close() {
+    return driver ? driver.close() : Promise.resolve();
 }
 
 module.exports = {
+    isChatId,
     getAllChats,
     getChat,
     createChat,
     deleteChat,
     addMessage,
     updateChatModel,
-    formatMessagesForAI
+    updateChatTitle,
+    formatMessageForAI,
+    formatMessagesForAI,
+    close
 };
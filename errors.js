@@ -0,0 +1,144 @@
+/**
+ * Errors - One error taxonomy for every route
+ *
+ * Each failure gets a stable code (rate_limited, quota_exhausted, auth_expired, browser_crashed...)
+ * that fixes its HTTP status, its OpenAI-style type, a default Retry-After and whether the
+ * browser session should be rotated. Responses always look like
+ *   { error: { type, code, message, param } }
+ * on /api and /v1 alike.
+ *
+ * Puter and browser failures arrive as plain Errors or page { error } payloads; classifyError()
+ * maps them onto a code from Puter's own error code/status first and the message second.
+ */
+
+// status, type (OpenAI's error categories), rotate: worth retrying on a fresh session
+const ERROR_CODES = {
+    invalid_request: { status: 400, type: 'invalid_request_error' },
+    model_not_supported: { status: 400, type: 'invalid_request_error' },
+    content_filtered: { status: 400, type: 'invalid_request_error' },
+    unauthorized: { status: 401, type: 'authentication_error' },
+    forbidden: { status: 403, type: 'permission_error' },
+    not_found: { status: 404, type: 'not_found_error' },
+    model_not_found: { status: 404, type: 'invalid_request_error' },
+    conflict: { status: 409, type: 'invalid_request_error' },
+    gone: { status: 410, type: 'invalid_request_error' },
+    payload_too_large: { status: 413, type: 'invalid_request_error' },
+    unsupported_media_type: { status: 415, type: 'invalid_request_error' },
+    key_quota_exceeded: { status: 429, type: 'insufficient_quota' },
+    rate_limited: { status: 429, type: 'rate_limit_error', rotate: true, retryAfter: 30 },
+    quota_exhausted: { status: 429, type: 'insufficient_quota', rotate: true, retryAfter: 3600 },
+    internal_error: { status: 500, type: 'api_error' },
+    upstream_error: { status: 502, type: 'api_error' },
+    auth_expired: { status: 503, type: 'server_error', rotate: true, retryAfter: 15 },
+    browser_crashed: { status: 503, type: 'server_error', rotate: true, retryAfter: 10 },
+    server_busy: { status: 503, type: 'server_error', retryAfter: 5 },
+    unavailable: { status: 503, type: 'server_error', retryAfter: 10 },
+    circuit_open: { status: 503, type: 'server_error', retryAfter: 30 },
+    timeout: { status: 504, type: 'timeout_error' }
+};
+
+class ApiError extends Error {
+    constructor(code, message, { param = null, retryAfter, details = null, cause } = {}) {
+        super(message);
+        if (!ERROR_CODES[code]) code = 'internal_error';
+        const spec = ERROR_CODES[code];
+        this.name = 'ApiError';
+        this.code = code;
+        this.type = spec.type;
+        this.status = spec.status;
+        this.rotate = !!spec.rotate;
+        this.retryAfter = retryAfter ?? spec.retryAfter ?? null;
+        this.param = param;
+        this.details = details; // extra body fields, e.g. { attempts } for audio fallback chains
+        if (cause) this.cause = cause;
+    }
+}
+
+// Code for a plain 4xx status (validation helpers that only know the status)
+function codeForStatus(status) {
+    return Object.keys(ERROR_CODES).find(code => ERROR_CODES[code].status === status) || 'invalid_request';
+}
+
+// Message / code / status of an Error, a page payload or Puter's nested { error: {...} }.
+// The innermost message wins: outer ones are often the page wrapper's JSON dump of the inner error.
+function describe(value) {
+    const info = { message: null, code: null, status: null, name: null };
+    for (let v = value, depth = 0; v && depth < 4; v = v.error, depth++) {
+        if (typeof v === 'string') {
+            info.message = v;
+            break;
+        }
+        if (typeof v !== 'object') break;
+        if (typeof v.message === 'string' && v.message && v.message !== '[object Object]') info.message = v.message;
+        if (!info.code && typeof v.code === 'string') info.code = v.code;
+        if (!info.status && Number.isInteger(v.status ?? v.statusCode)) info.status = v.status ?? v.statusCode;
+        if (!info.name && typeof v.name === 'string') info.name = v.name;
+    }
+    // A wrapper's `new Error(JSON.stringify(e))`: read the payload inside
+    if (info.message && /^\{.*\}$/s.test(info.message.trim())) {
+        try {
+            const inner = describe(JSON.parse(info.message));
+            return { ...inner, code: info.code || inner.code, status: info.status || inner.status, name: info.name };
+        } catch (e) { }
+    }
+    if (!info.message) {
+        try { info.message = JSON.stringify(value); } catch (e) { info.message = String(value); }
+    }
+    return info;
+}
+
+// Ordered: the first match wins. `text` is code + message, lower-cased.
+const MATCHERS = [
+    ['browser_crashed', ({ text, name }) => /target ?closed|session closed|protocol ?error|execution context was destroyed|detached frame|browser has disconnected|page crashed|connection closed|frame was detached/.test(text) || /TargetCloseError|ProtocolError/.test(name || '')],
+    // Before quota: "Rate limit exceeded" is a 429, not an exhausted account
+    ['rate_limited', ({ text, status }) => status === 429 || /rate[_ -]?limit|too many requests|\b429\b/.test(text)],
+    ['quota_exhausted', ({ text }) => /quota|insufficient[_ ](funds|credits|balance)|usage[_ ]limit|out of credits/.test(text)],
+    ['auth_expired', ({ text, status }) => status === 401 || /unauthori[sz]ed|\b401\b|token.{0,20}(expired|invalid)|(not |un)authenticated|auth(entication)?[_ ](failed|required)|session (has )?expired|(log|sign) ?in (again|required)/.test(text)],
+    ['model_not_found', ({ text }) => /model_not_found|no such model|(unknown|invalid|unsupported) model|model .{0,60}(not found|does not exist|is not available|unavailable)/.test(text)],
+    ['content_filtered', ({ text }) => /content[_ ]?(filter|policy|management)|moderation|safety (system|filter)|flagged|prohibited|violat(es|ion).{0,40}polic/.test(text)],
+    ['timeout', ({ text, name }) => name === 'TimeoutError' || /timed? ?out|timeout|deadline exceeded/.test(text)],
+    ['unavailable', ({ text }) => /puter ai not ready|session unavailable|system is initializing/.test(text)]
+];
+
+// Any thrown value -> ApiError. `fallback` is the code for failures nothing matches
+// (upstream_error for page payloads, internal_error for our own bugs).
+function classifyError(e, fallback = 'internal_error') {
+    if (e instanceof ApiError) return e;
+    const info = describe(e);
+    const text = `${info.code || ''} ${info.message}`.toLowerCase();
+    const match = MATCHERS.find(([, test]) => test({ ...info, text }));
+    return new ApiError(match ? match[0] : fallback, info.message, { cause: e instanceof Error ? e : undefined });
+}
+
+// Error reported by a page wrapper ({ error } result)
+function pageError(error) {
+    return classifyError(error, 'upstream_error');
+}
+
+function errorBody(err) {
+    return { error: { type: err.type, code: err.code, message: err.message, param: err.param, ...(err.details || {}) } };
+}
+
+// Answer with the classified error (Retry-After when the code has one). Server-side failures are logged.
+function sendError(res, e, label = 'Server') {
+    const err = classifyError(e);
+    if (err.status >= 500) console.error(`[${label}] ${err.code}: ${err.message}`);
+    res.locals.errorCode = err.code; // Picked up by the request metrics
+    if (res.headersSent) {
+        if (!res.writableEnded) res.end();
+        return;
+    }
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    if (err.code === 'unauthorized') res.set('WWW-Authenticate', 'Bearer');
+    res.status(err.status).json(errorBody(err));
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    codeForStatus,
+    classifyError,
+    pageError,
+    errorBody,
+    sendError
+};
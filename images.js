@@ -0,0 +1,111 @@
+/**
+ * Images - Per-model image generation parameters and how a request is split into provider calls
+ *
+ * Requests use OpenAI-style fields (size "WxH", quality, n) plus seed and negative_prompt. Each
+ * model family gets them under its provider's option names; a parameter the model cannot honour
+ * is rejected (400), except negative_prompt, which is folded into the prompt instead, and size,
+ * which models without size control ignore (OpenAI clients send one by default).
+ * n images come from n parallel calls, or from one call for providers that return several at once
+ * (seeds are incremented per call so parallel images differ).
+ *
+ * Env:
+ *   IMAGE_MAX_N   max images per request (default 4)
+ */
+
+const { ChatRequestError } = require('./chat-request');
+
+const MAX_N = Number(process.env.IMAGE_MAX_N) || 4;
+const MAX_SEED = 2 ** 32 - 1;
+const FREE_SIZE = { min: 256, max: 1792, step: 16 };
+
+// sizes: allowed values, or 'free' for any WxH within FREE_SIZE
+const MODEL_PARAMS = {
+    'gpt-image-1': { provider: 'openai', sizes: ['1024x1024', '1536x1024', '1024x1536', 'auto'], qualities: ['low', 'medium', 'high', 'auto'] },
+    'dall-e-3': { provider: 'openai', sizes: ['1024x1024', '1792x1024', '1024x1792'], qualities: ['standard', 'hd'] },
+    'black-forest-labs/FLUX.1.1-pro': { provider: 'together', sizes: 'free', seed: true, negativePrompt: true, multiple: true },
+    'black-forest-labs/FLUX.1-schnell': { provider: 'together', sizes: 'free', seed: true, negativePrompt: true, multiple: true },
+    'gemini-2.5-flash-image-preview': { provider: 'gemini' }
+};
+
+// Models added through the registry file: parameters are passed on unchecked
+const UNKNOWN_MODEL = { provider: null, sizes: 'free', qualities: null, seed: true, negativePrompt: true };
+
+function unsupported(param, model) {
+    return new ChatRequestError(`${param} is not supported by model '${model}'`, param);
+}
+
+function parseSize(size, spec, model) {
+    if (size === undefined || size === null) return null;
+    if (!spec.sizes) return null;
+    if (Array.isArray(spec.sizes)) {
+        if (!spec.sizes.includes(size)) throw new ChatRequestError(`size must be one of ${spec.sizes.join(', ')} for model '${model}'`, 'size');
+        if (size === 'auto') return { auto: true };
+    }
+    const match = typeof size === 'string' && size.match(/^(\d+)x(\d+)$/);
+    const [w, h] = match ? [Number(match[1]), Number(match[2])] : [];
+    const inRange = (v) => v >= FREE_SIZE.min && v <= FREE_SIZE.max && v % FREE_SIZE.step === 0;
+    if (!match || !inRange(w) || !inRange(h)) {
+        throw new ChatRequestError(`size must be "WxH" with sides between ${FREE_SIZE.min} and ${FREE_SIZE.max}, multiples of ${FREE_SIZE.step}`, 'size');
+    }
+    return { w, h };
+}
+
+// Options for puter.ai.txt2img in the provider's own names
+function providerParams(spec, { size, quality, seed, negative }) {
+    const params = {};
+    if (spec.provider === 'openai') {
+        if (size && !size.auto) params.ratio = size;
+        if (quality) params.quality = quality;
+        return params;
+    }
+    if (size && !size.auto) Object.assign(params, { width: size.w, height: size.h });
+    if (quality) params.quality = quality;
+    if (seed !== undefined) params.seed = seed;
+    if (negative) params.negative_prompt = negative;
+    return params;
+}
+
+// Provider calls for a request body (throws ChatRequestError): { n, calls: [{ prompt, params, count }] }
+function planImages(body, model) {
+    const spec = MODEL_PARAMS[model] || UNKNOWN_MODEL;
+    const { prompt, quality, seed, negative_prompt: negative } = body;
+    if (typeof prompt !== 'string' || !prompt.trim()) throw new ChatRequestError('prompt must be a non-empty string', 'prompt');
+
+    const n = body.n === undefined || body.n === null ? 1 : Number(body.n);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_N) throw new ChatRequestError(`n must be an integer between 1 and ${MAX_N}`, 'n');
+    const size = parseSize(body.size, spec, model);
+    if (quality !== undefined && quality !== null) {
+        if (!spec.qualities && spec !== UNKNOWN_MODEL) throw unsupported('quality', model);
+        if (spec.qualities && !spec.qualities.includes(quality)) {
+            throw new ChatRequestError(`quality must be one of ${spec.qualities.join(', ')} for model '${model}'`, 'quality');
+        }
+    }
+    const seedValue = seed === undefined || seed === null || seed === '' ? undefined : Number(seed);
+    if (seedValue !== undefined) {
+        if (!spec.seed) throw unsupported('seed', model);
+        if (!Number.isInteger(seedValue) || seedValue < 0 || seedValue > MAX_SEED) throw new ChatRequestError(`seed must be an integer between 0 and ${MAX_SEED}`, 'seed');
+    }
+    if (negative !== undefined && negative !== null && typeof negative !== 'string') {
+        throw new ChatRequestError('negative_prompt must be a string', 'negative_prompt');
+    }
+
+    // Models without a negative prompt option still get the instruction, in words
+    const nativeNegative = spec.negativePrompt && negative;
+    const fullPrompt = negative && !nativeNegative ? `${prompt}\n\nDo not include: ${negative}` : prompt;
+    const base = { size, quality, negative: nativeNegative ? negative : null };
+
+    if (spec.multiple && n > 1) {
+        return { n, calls: [{ prompt: fullPrompt, params: { ...providerParams(spec, { ...base, seed: seedValue }), n }, count: n }] };
+    }
+    const calls = Array.from({ length: n }, (_, i) => ({
+        prompt: fullPrompt,
+        params: providerParams(spec, { ...base, seed: seedValue === undefined ? undefined : (seedValue + i) % (MAX_SEED + 1) }),
+        count: 1
+    }));
+    return { n, calls };
+}
+
+module.exports = {
+    MAX_N,
+    planImages
+};
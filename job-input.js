@@ -0,0 +1,86 @@
+/**
+ * Job Input - Validated input for background jobs, built from the submitting request
+ *
+ * Each job type takes only its own fields and runs the checks of its synchronous route, so a bad
+ * job is rejected with 400 before it is queued. File inputs come from the request's multipart
+ * upload (retainUpload), never from the JSON body: a body `upload` would name a server path.
+ */
+
+const fs = require('fs');
+const { ChatRequestError } = require('./chat-request');
+const models = require('./models');
+const audioFallbacks = require('./audio-fallbacks');
+const { planNarration } = require('./narration');
+const { planImages } = require('./images');
+const { retainUpload } = require('./uploads');
+
+// Fields shared by the image routes and image jobs (see images.js)
+const IMAGE_PARAMS = ['prompt', 'size', 'quality', 'seed', 'negative_prompt'];
+
+function imageParams(body) {
+    return Object.fromEntries(IMAGE_PARAMS.filter(k => body[k] !== undefined).map(k => [k, body[k]]));
+}
+
+function requireText(value, param) {
+    if (typeof value !== 'string' || !value.trim()) throw new ChatRequestError(`${param} must be a non-empty string`, param);
+    return value;
+}
+
+// Multipart form fields are strings
+function formBoolean(value) {
+    return value === 'true' ? true : value === 'false' ? false : value;
+}
+
+const BUILDERS = {
+    video(req) {
+        const prompt = requireText(req.body.prompt, 'prompt');
+        return { prompt, model: models.resolveModel(req.body.model, 'video') };
+    },
+
+    async image(req) {
+        let input_image = req.body.input_image ?? null;
+        let input_image_type = null;
+        if (req.file) {
+            input_image = (await fs.promises.readFile(req.file.path)).toString('base64');
+            input_image_type = req.file.mimeType;
+        } else if (input_image !== null) {
+            requireText(input_image, 'input_image');
+        }
+        const model = models.resolveModel(req.body.model, input_image ? 'image_edit' : 'image');
+        const { calls } = planImages(req.body, model);
+        if (calls.length > 1 || calls[0].count > 1) throw new ChatRequestError('async image jobs produce one image, use n: 1', 'n');
+        return { ...imageParams(req.body), model, input_image, input_image_type };
+    },
+
+    s2s(req) {
+        const { audio, voice, fallbacks } = req.body;
+        if (!req.file) requireText(audio, 'audio');
+        const model = models.resolveModel(req.body.model, 's2s');
+        const chain = audioFallbacks.resolveChain('s2s', { model, voice }, { strict: formBoolean(req.body.strict), fallbacks });
+        // Retained last: nothing may throw after the file is handed to the job
+        return { audio: req.file ? null : audio, model, chain, upload: retainUpload(req) };
+    },
+
+    narration(req) {
+        const { text, voice, strict, fallbacks, pause_ms } = req.body;
+        const model = models.resolveModel(req.body.model, 'tts');
+        const chain = audioFallbacks.resolveChain('tts', { model, voice }, { strict, fallbacks });
+        planNarration(text, { paragraphPauseMs: pause_ms || 0 }); // 400/413 now rather than in the job
+        return { text, model, chain, pause_ms: pause_ms || 0 };
+    }
+};
+
+const JOB_INPUT_TYPES = Object.keys(BUILDERS);
+
+// Input for a `type` job from req.body (and req.file). Throws ChatRequestError / ModelError.
+async function buildJobInput(type, req) {
+    if (!Object.hasOwn(BUILDERS, type)) {
+        throw new ChatRequestError(`type must be one of ${JOB_INPUT_TYPES.join(', ')}`, 'type');
+    }
+    return BUILDERS[type](req);
+}
+
+module.exports = {
+    JOB_INPUT_TYPES,
+    buildJobInput
+};
@@ -0,0 +1,268 @@
+/**
+ * Jobs - Background jobs for long-running generation (video, image, voice conversion)
+ *
+ * A job runs a runner(input, job) that returns a stored media record, or a media
+ * source (data: URI or URL) which is then put in the media store.
+ * Job records are kept in data/jobs/<id>.json so finished results survive restarts.
+ * A job stays 'queued' until its work leaves the request queue (job.started()).
+ * Webhooks must be http(s) URLs that do not resolve to loopback, private or link-local addresses;
+ * they are checked on submission and again before delivery.
+ *
+ * Env:
+ *   JOBS_DIR              record directory (default ./data/jobs)
+ *   JOB_TTL_HOURS         how long finished jobs and their media are kept (default 24)
+ *   JOB_WEBHOOK_SECRET    if set, webhooks carry X-Job-Signature: sha256=<hmac of body>
+ *   JOB_WEBHOOK_ALLOW     comma-separated webhook hosts exempt from the address check (internal services)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const mediaStore = require('./media-store');
+const { ApiError, classifyError } = require('./errors');
+
+const JOBS_DIR = process.env.JOBS_DIR || path.join(__dirname, 'data', 'jobs');
+const TTL_MS = (Number(process.env.JOB_TTL_HOURS) || 24) * 3600 * 1000;
+const WEBHOOK_RETRIES = 3;
+const WEBHOOK_ALLOW = (process.env.JOB_WEBHOOK_ALLOW || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+
+// Unspecified, loopback, private, CGNAT, link-local, benchmarking, multicast and reserved ranges
+// (IPv4-mapped IPv6 addresses are matched against the IPv4 rules)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+let jobs = null; // id -> job record
+let cleanupTimer = null;
+
+function saveJob(job) {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    const file = path.join(JOBS_DIR, `${job.id}.json`);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+// Load records on first use. Jobs cut off by a restart are marked failed.
+function loadJobs() {
+    if (jobs) return jobs;
+    jobs = {};
+    if (fs.existsSync(JOBS_DIR)) {
+        for (const name of fs.readdirSync(JOBS_DIR).filter(n => n.endsWith('.json'))) {
+            try {
+                const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, name), 'utf-8'));
+                if (job.status === 'queued' || job.status === 'running') {
+                    Object.assign(job, { status: 'failed', error: 'Interrupted by server restart', errorCode: 'unavailable', finishedAt: new Date().toISOString() });
+                    saveJob(job);
+                }
+                jobs[job.id] = job;
+            } catch (e) {
+                console.error(`[Jobs] Skipping unreadable record ${name}: ${e.message}`);
+            }
+        }
+    }
+    if (!cleanupTimer) {
+        cleanupTimer = setInterval(cleanup, 3600 * 1000);
+        cleanupTimer.unref();
+    }
+    return jobs;
+}
+
+// Public view of a job
+function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        stage: job.stage,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error,
+        errorCode: job.errorCode || null, // errors.js code, e.g. quota_exhausted or content_filtered
+        result: job.result ? { ...job.result, url: `/api/jobs/${job.id}/result`, mediaUrl: `/media/${job.result.mediaId}` } : null,
+        webhook: job.webhook ? { url: job.webhook, delivered: job.webhookDelivered } : null
+    };
+}
+
+function update(job, fields) {
+    Object.assign(job, fields);
+    try { saveJob(job); } catch (e) { console.error(`[Jobs] Error saving ${job.id}: ${e.message}`); }
+}
+
+// Reject webhook URLs that could reach the server's own network (throws invalid_request)
+async function checkWebhook(url) {
+    const invalid = (message) => new ApiError('invalid_request', message, { param: 'webhook' });
+    let parsed;
+    try {
+        parsed = new URL(String(url));
+    } catch (e) {
+        throw invalid('webhook must be an http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw invalid('webhook must be an http(s) URL');
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (WEBHOOK_ALLOW.includes(host)) return;
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch (e) {
+        throw invalid(`webhook host ${host} does not resolve`);
+    }
+    const blocked = addresses.find(a => BLOCKED_ADDRESSES.check(a.address, a.family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+        const where = blocked.address === host ? host : `${host} resolves to ${blocked.address}`;
+        throw invalid(`webhook must not point to a local or private address (${where})`);
+    }
+}
+
+// POST the finished job to its webhook, retrying with backoff
+async function deliverWebhook(job) {
+    // DNS may have changed since submission
+    try {
+        await checkWebhook(job.webhook);
+    } catch (e) {
+        console.warn(`[Jobs] Webhook for ${job.id} not sent: ${e.message}`);
+        update(job, { webhookDelivered: false });
+        return;
+    }
+
+    const body = JSON.stringify(describeJob(job));
+    const headers = { 'Content-Type': 'application/json', 'X-Job-Id': job.id };
+    if (process.env.JOB_WEBHOOK_SECRET) {
+        const sig = crypto.createHmac('sha256', process.env.JOB_WEBHOOK_SECRET).update(body).digest('hex');
+        headers['X-Job-Signature'] = `sha256=${sig}`;
+    }
+
+    for (let attempt = 1; attempt <= WEBHOOK_RETRIES; attempt++) {
+        try {
+            // Redirects are not followed, they could lead anywhere
+            const res = await fetch(job.webhook, { method: 'POST', headers, body, redirect: 'manual', signal: AbortSignal.timeout(10000) });
+            if (res.ok) {
+                update(job, { webhookDelivered: true });
+                return;
+            }
+            console.warn(`[Jobs] Webhook for ${job.id} answered HTTP ${res.status} (attempt ${attempt}/${WEBHOOK_RETRIES})`);
+        } catch (e) {
+            console.warn(`[Jobs] Webhook for ${job.id} failed: ${e.message} (attempt ${attempt}/${WEBHOOK_RETRIES})`);
+        }
+        if (attempt < WEBHOOK_RETRIES) await new Promise(r => setTimeout(r, attempt * 5000));
+    }
+    update(job, { webhookDelivered: false });
+}
+
+async function execute(job, runner, input) {
+    // Called by the request queue when the work actually starts (once per queued call, see server.js)
+    const started = () => {
+        if (job.status === 'queued') update(job, { status: 'running', stage: 'generating', startedAt: new Date().toISOString(), progress: 0.1 });
+    };
+    try {
+        const output = await runner(input, {
+            id: job.id,
+            started,
+            // Runners may report finer progress (0..1) and a stage label
+            progress: (progress, stage) => {
+                started();
+                update(job, { progress, stage: stage || job.stage });
+            }
+        });
+
+        update(job, { stage: 'storing', progress: 0.9 });
+        const media = output?.id && output?.mimeType ? output : await mediaStore.saveFromSource(output);
+        update(job, {
+            status: 'succeeded',
+            stage: 'done',
+            progress: 1,
+            finishedAt: new Date().toISOString(),
+            result: {
+                mediaId: media.id,
+                mimeType: media.mimeType,
+                size: media.size,
+                sourceUrl: media.sourceUrl || null,
+                ...(media.report ? { report: media.report } : {}) // e.g. which voice/model produced the audio
+            }
+        });
+        console.log(`[Jobs] ${job.type} job ${job.id} succeeded (${media.size} bytes)`);
+    } catch (e) {
+        const error = classifyError(e);
+        update(job, { status: 'failed', stage: 'failed', finishedAt: new Date().toISOString(), error: error.message, errorCode: error.code });
+        console.error(`[Jobs] ${job.type} job ${job.id} failed: ${job.error}`);
+    }
+
+    if (job.webhook) deliverWebhook(job);
+}
+
+// Create a job and start it in the background. Returns the public job view.
+// The webhook must have passed checkWebhook().
+function createJob(type, input, runner, { webhook = null, owner = null } = {}) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        owner,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+        result: null,
+        webhook,
+        webhookDelivered: null
+    };
+    loadJobs()[job.id] = job;
+    update(job, {});
+
+    execute(job, runner, input);
+    return describeJob(job);
+}
+
+// Raw record (includes owner) or null
+function getJob(id) {
+    return loadJobs()[id] || null;
+}
+
+function listJobs(owner = undefined) {
+    return Object.values(loadJobs())
+        .filter(job => owner === undefined || job.owner === owner)
+        .map(describeJob);
+}
+
+// Delete a finished job and its media (unless another job stored identical content)
+function deleteJob(id) {
+    const job = getJob(id);
+    if (!job) return false;
+    delete jobs[id];
+    fs.rmSync(path.join(JOBS_DIR, `${id}.json`), { force: true });
+
+    const mediaId = job.result?.mediaId;
+    if (mediaId && !Object.values(jobs).some(j => j.result?.mediaId === mediaId)) {
+        mediaStore.deleteMedia(mediaId);
+    }
+    return true;
+}
+
+// Drop finished jobs older than the TTL
+function cleanup() {
+    const cutoff = Date.now() - TTL_MS;
+    for (const job of Object.values(loadJobs())) {
+        if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) deleteJob(job.id);
+    }
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    listJobs,
+    deleteJob,
+    describeJob,
+    checkWebhook
+};
@@ -0,0 +1,184 @@
+/**
+ * Media Store - Generated images/audio/video on local disk, named by content hash
+ *
+ * Files not touched for MEDIA_TTL_HOURS are swept hourly. Storing identical content
+ * again refreshes its age.
+ *
+ * Env:
+ *   MEDIA_DIR         storage directory (default ./data/media)
+ *   MEDIA_TTL_HOURS   retention (default 24)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'data', 'media');
+const TTL_MS = (Number(process.env.MEDIA_TTL_HOURS) || 24) * 3600 * 1000;
+
+let sweepTimer = null;
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/ogg': 'ogg',
+    'audio/webm': 'weba',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/flac': 'flac',
+    'application/octet-stream': 'bin'
+};
+const MIME_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([mime, ext]) => [ext, mime]));
+
+// Ids are "<sha256 prefix>.<ext>", nothing else may reach the filesystem
+const ID_PATTERN = /^[a-f0-9]{32}\.[a-z0-9]{2,5}$/;
+
+function ensureDir() {
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    if (!sweepTimer) {
+        sweepTimer = setInterval(sweep, 3600 * 1000);
+        sweepTimer.unref();
+    }
+}
+
+// Delete files older than the TTL (leftover temp files included)
+function sweep() {
+    const cutoff = Date.now() - TTL_MS;
+    for (const name of fs.readdirSync(MEDIA_DIR)) {
+        const file = path.join(MEDIA_DIR, name);
+        try {
+            if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+        } catch (e) { }
+    }
+}
+
+// Detect a file's real type from its first bytes (client-declared types are not trusted).
+// Returns null when the content is not recognized.
+function sniffMimeType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    const hex = buffer.subarray(0, 12).toString('hex');
+    const ascii = buffer.subarray(0, 12).toString('latin1');
+    if (hex.startsWith('89504e470d0a1a0a')) return 'image/png';
+    if (hex.startsWith('ffd8ff')) return 'image/jpeg';
+    if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) return 'image/gif';
+    if (ascii.startsWith('RIFF') && ascii.substring(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii.startsWith('RIFF') && ascii.substring(8, 12) === 'WAVE') return 'audio/wav';
+    if (ascii.startsWith('OggS')) return 'audio/ogg';
+    if (ascii.startsWith('fLaC')) return 'audio/flac';
+    if (ascii.startsWith('ID3')) return 'audio/mpeg';
+    if (hex.startsWith('1a45dfa3')) return 'audio/webm'; // Matroska/WebM, what MediaRecorder produces
+    if (ascii.substring(4, 8) === 'ftyp') {
+        const brand = ascii.substring(8, 12);
+        if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+        return brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+    }
+    // MPEG audio frame sync; layer bits 00 mean an AAC ADTS stream instead of MP3
+    if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return (buffer[1] & 0x06) ? 'audio/mpeg' : 'audio/aac';
+    return null;
+}
+
+function extensionFor(mimeType) {
+    return EXTENSIONS[(mimeType || '').split(';')[0].trim().toLowerCase()] || 'bin';
+}
+
+// Move a finished temp file to its content-addressed name (identical content is stored once)
+async function finalize(tmp, hash, mimeType) {
+    const id = `${hash.substring(0, 32)}.${extensionFor(mimeType)}`;
+    const target = path.join(MEDIA_DIR, id);
+    if (fs.existsSync(target)) {
+        await fs.promises.unlink(tmp);
+        const now = new Date();
+        await fs.promises.utimes(target, now, now);
+    } else {
+        await fs.promises.rename(tmp, target);
+    }
+    const { size } = await fs.promises.stat(target);
+    return { id, mimeType: MIME_TYPES[extensionFor(mimeType)], size };
+}
+
+function tempPath() {
+    return path.join(MEDIA_DIR, `.${crypto.randomUUID()}.tmp`);
+}
+
+// Store an in-memory buffer
+async function saveBuffer(buffer, mimeType) {
+    ensureDir();
+    const tmp = tempPath();
+    await fs.promises.writeFile(tmp, buffer);
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    return finalize(tmp, hash, mimeType);
+}
+
+// Store a readable stream without buffering it in memory
+async function saveStream(stream, mimeType) {
+    ensureDir();
+    const tmp = tempPath();
+    const hash = crypto.createHash('sha256');
+    stream.on('data', chunk => hash.update(chunk));
+    try {
+        await pipeline(stream, fs.createWriteStream(tmp));
+    } catch (e) {
+        await fs.promises.unlink(tmp).catch(() => { });
+        throw e;
+    }
+    return finalize(tmp, hash.digest('hex'), mimeType);
+}
+
+// Store whatever the page produced: a data: URI or an http(s) URL to download
+async function saveFromSource(source) {
+    if (typeof source !== 'string' || !source) {
+        throw new Error('No media returned by the provider');
+    }
+
+    const dataUri = source.match(/^data:([^;,]+)?(;base64)?,/);
+    if (dataUri) {
+        const payload = source.substring(dataUri[0].length);
+        const buffer = dataUri[2] ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload));
+        return saveBuffer(buffer, dataUri[1]);
+    }
+
+    if (/^https?:\/\//i.test(source)) {
+        const res = await fetch(source);
+        if (!res.ok || !res.body) throw new Error(`Media download failed: HTTP ${res.status}`);
+        const stored = await saveStream(Readable.fromWeb(res.body), res.headers.get('content-type'));
+        return { ...stored, sourceUrl: source };
+    }
+
+    throw new Error(`Unsupported media source: ${source.substring(0, 40)}`);
+}
+
+// Look up a stored file, null for unknown or malformed ids
+function getMedia(id) {
+    if (!ID_PATTERN.test(id || '')) return null;
+    const file = path.join(MEDIA_DIR, id);
+    if (!fs.existsSync(file)) return null;
+    const ext = id.split('.').pop();
+    return { id, path: file, mimeType: MIME_TYPES[ext] || 'application/octet-stream', size: fs.statSync(file).size };
+}
+
+function deleteMedia(id) {
+    const media = getMedia(id);
+    if (!media) return false;
+    fs.unlinkSync(media.path);
+    return true;
+}
+
+module.exports = {
+    MEDIA_DIR,
+    extensionFor,
+    sniffMimeType,
+    saveBuffer,
+    saveStream,
+    saveFromSource,
+    getMedia,
+    deleteMedia
+};
@@ -0,0 +1,164 @@
+/**
+ * Metrics - Minimal Prometheus registry (counters, gauges, histograms) and text exposition
+ *
+ * No client library: the text format (version 0.0.4) is simple enough to write by hand.
+ * Label values should come from bounded sets (route patterns, registry model ids, error codes),
+ * never from raw request input. Gauges can be computed at scrape time with a collect callback
+ * returning [[labels, value], ...], which keeps per-session series from outliving their session.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, from fast chats to slow video jobs
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 900];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+    return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    // Only declared labels, in declared order (keeps series keys stable)
+    entry(labels = {}, init) {
+        const picked = {};
+        for (const name of this.labelNames) picked[name] = labels[name] ?? '';
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) this.series.set(key, { labels: picked, ...init() });
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, amount = 1) {
+        this.entry(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    render() {
+        return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.entry(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        const lines = this.header();
+        if (this.collect) {
+            for (const [labels, value] of this.collect()) {
+                if (value !== null && value !== undefined) lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+            return lines;
+        }
+        return [...lines, ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const s = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => { if (value <= bound) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+    }
+
+    // Returns end(extraLabels) which observes the elapsed seconds
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extra = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe({ ...labels, ...extra }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        for (const s of this.series.values()) {
+            this.buckets.forEach((bound, i) => lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`));
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    add(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.add(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.add(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.add(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // Exposition text; a collect callback that throws only loses its own metric
+    render() {
+        const out = [];
+        for (const metric of this.metrics.values()) {
+            try {
+                out.push(...metric.render());
+            } catch (e) {
+                console.error(`[Metrics] ${metric.name}: ${e.message}`);
+            }
+        }
+        return out.join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    Registry,
+    registry: new Registry()
+};
@@ -0,0 +1,185 @@
+/**
+ * In-Process Browser - Just enough of puppeteer's Browser/Page for BrowserSession, without Chrome
+ *
+ * The "page" is a vm context running puter-stub.js. evaluate() compiles the function in that
+ * context and copies arguments and results through JSON, like the CDP round trip would, so page
+ * code that works here behaves the same in Chrome. A crash closes the page: pending and later
+ * calls reject with the errors puppeteer raises for a dead target.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const STUB_SCRIPT = path.join(__dirname, 'puter-stub.js');
+const PNG_1X1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+// JSON copy, as values crossing the CDP boundary are (undefined stays undefined)
+const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// FileReader is the one page API Node lacks (readMediaChunk uses readAsDataURL)
+class FileReader {
+    readAsDataURL(blob) {
+        blob.arrayBuffer().then((buf) => {
+            this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buf).toString('base64')}`;
+            if (this.onload) this.onload();
+        }, (e) => {
+            this.error = e;
+            if (this.onerror) this.onerror();
+        });
+    }
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); },
+        clear: () => items.clear()
+    };
+}
+
+class CDPSession {
+    async send(method) {
+        if (method === 'Performance.getMetrics') {
+            const { heapUsed, heapTotal } = process.memoryUsage();
+            return { metrics: [{ name: 'JSHeapUsedSize', value: heapUsed }, { name: 'JSHeapTotalSize', value: heapTotal }, { name: 'Nodes', value: 0 }] };
+        }
+        if (method === 'SystemInfo.getProcessInfo') return { processInfo: [{ type: 'browser', id: process.pid, cpuTime: 0 }] };
+        return {};
+    }
+
+    async detach() { }
+}
+
+class InProcessPage {
+    constructor(browser) {
+        this.browser = browser;
+        this.closed = false;
+        this.exposed = new Map();
+        this.listeners = new Map();
+        this.pending = new Set(); // reject functions of running evaluate() calls
+        this.context = null;
+        this.url = 'about:blank';
+    }
+
+    // Fresh window: browser globals, exposed functions, then the stub
+    load() {
+        const sandbox = {
+            console,
+            setTimeout, clearTimeout, setInterval, clearInterval,
+            Blob, fetch, atob, btoa, URL, TextEncoder, TextDecoder, FileReader,
+            HTMLImageElement: class HTMLImageElement { },
+            localStorage: createStorage(),
+            document: { querySelectorAll: () => [], getElementById: () => null }
+        };
+        sandbox.window = sandbox;
+        this.context = vm.createContext(sandbox);
+        for (const [name, fn] of this.exposed) this.bind(name, fn);
+        vm.runInContext(fs.readFileSync(STUB_SCRIPT, 'utf8'), this.context, { filename: STUB_SCRIPT });
+    }
+
+    bind(name, fn) {
+        this.context[name] = async (...args) => copy(await fn(...copy(args)));
+    }
+
+    assertOpen() {
+        if (this.closed) throw new Error('Protocol error: Target closed');
+    }
+
+    async goto(url) {
+        this.assertOpen();
+        this.url = url;
+        this.load();
+    }
+
+    async reload() {
+        return this.goto(this.url);
+    }
+
+    async evaluate(fn, ...args) {
+        this.assertOpen();
+        const compiled = vm.runInContext(`(${fn.toString()})`, this.context);
+        return new Promise((resolve, reject) => {
+            this.pending.add(reject);
+            Promise.resolve()
+                .then(() => compiled(...copy(args)))
+                .then(result => resolve(copy(result)), reject)
+                .finally(() => this.pending.delete(reject));
+        });
+    }
+
+    async exposeFunction(name, fn) {
+        this.exposed.set(name, fn);
+        if (this.context) this.bind(name, fn);
+    }
+
+    on(event, handler) {
+        if (!this.listeners.has(event)) this.listeners.set(event, []);
+        this.listeners.get(event).push(handler);
+        return this;
+    }
+
+    emit(event, value) {
+        for (const handler of this.listeners.get(event) || []) handler(value);
+    }
+
+    // Renderer crash: 'error' event, every pending call fails, the page is gone
+    crash() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('error', new Error('Page crashed!'));
+        for (const reject of this.pending) reject(new Error('Protocol error: Target closed'));
+        this.pending.clear();
+    }
+
+    isClosed() {
+        return this.closed;
+    }
+
+    target() {
+        return { createCDPSession: async () => new CDPSession() };
+    }
+
+    async screenshot() {
+        return PNG_1X1;
+    }
+
+    async close() {
+        this.crash();
+    }
+}
+
+class InProcessBrowser {
+    constructor() {
+        this.connected = true;
+        this.page = new InProcessPage(this);
+    }
+
+    async pages() {
+        return [this.page];
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    target() {
+        return { createCDPSession: async () => new CDPSession() };
+    }
+
+    async close() {
+        this.connected = false;
+        this.page.crash();
+    }
+}
+
+function launchInProcess() {
+    const browser = new InProcessBrowser();
+    return { browser, page: browser.page };
+}
+
+module.exports = {
+    launchInProcess
+};
@@ -0,0 +1,138 @@
+/**
+ * Mock Provider - Offline stand-in for puter.com
+ *
+ * PUTER_PROVIDER selects where BrowserSession gets its `puter` from:
+ *   puter           (default) real Chrome on puter.com, Cloudflare and guest login included
+ *   mock            real Chrome on the local stub page (mock/puter-stub.html), no network needed
+ *   mock-inprocess  no Chrome at all: the stub runs in a Node vm context (see in-process.js)
+ *
+ * Both mock modes answer with the same canned responses and share one failure script, so rotation,
+ * retries, the breaker and the queues can be driven deterministically. A script is a list of rules
+ * consumed in order, each `method:failure[=ms][*times]` (method '*' matches any call):
+ *   MOCK_SCRIPT="chat:rate_limit*2,txt2img:slow=3000,*:crash"
+ * Methods: chat, txt2img, txt2speech, speech2speech, speech2txt, txt2vid, fs.write.
+ * Failures: rate_limit, quota, auth, content, error, slow, hang, crash (see puter-stub.js).
+ * Rules can also be replaced at runtime (POST /api/mock/script) or put in a prompt ("[mock:quota]").
+ *
+ * Env:
+ *   PUTER_PROVIDER   'puter' (default), 'mock' or 'mock-inprocess'
+ *   MOCK_SCRIPT      initial failure script (compact form above, or a JSON array of rules)
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { ChatRequestError } = require('../chat-request');
+const { launchInProcess } = require('./in-process');
+
+const PROVIDERS = ['puter', 'mock', 'mock-inprocess'];
+const FAILURES = ['rate_limit', 'quota', 'auth', 'content', 'error', 'slow', 'hang', 'crash'];
+const STUB_URL = pathToFileURL(path.join(__dirname, 'puter-stub.html')).href;
+
+let provider = (process.env.PUTER_PROVIDER || 'puter').toLowerCase();
+if (!PROVIDERS.includes(provider)) {
+    console.warn(`[Mock] Unknown PUTER_PROVIDER '${provider}', using puter`);
+    provider = 'puter';
+}
+const enabled = provider !== 'puter';
+
+// "chat:rate_limit*2" or { method, fail, ms, times } -> rule (throws ChatRequestError)
+function parseRule(value, i) {
+    let rule = value;
+    if (typeof value === 'string') {
+        const match = value.trim().match(/^([a-z0-9.*]+):([a-z_]+)(?:=(\d+))?(?:\*(\d+))?$/i);
+        if (!match) throw new ChatRequestError(`rules[${i}] must look like "chat:rate_limit", "txt2img:slow=3000" or "*:crash*2"`, `rules[${i}]`);
+        rule = { method: match[1], fail: match[2], ms: match[3], times: match[4] };
+    }
+    if (!rule || typeof rule !== 'object') throw new ChatRequestError(`rules[${i}] must be a string or an object`, `rules[${i}]`);
+    const fail = String(rule.fail || '').toLowerCase();
+    if (!FAILURES.includes(fail)) throw new ChatRequestError(`rules[${i}].fail must be one of ${FAILURES.join(', ')}`, `rules[${i}]`);
+    const times = rule.times === undefined || rule.times === null ? 1 : Number(rule.times);
+    if (!Number.isInteger(times) || times < 1) throw new ChatRequestError(`rules[${i}].times must be a positive integer`, `rules[${i}]`);
+    return {
+        method: rule.method || '*',
+        fail,
+        ms: rule.ms === undefined || rule.ms === null ? undefined : Number(rule.ms),
+        times
+    };
+}
+
+function parseScript(value) {
+    if (value === undefined || value === null || value === '') return [];
+    let list = value;
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+        try {
+            list = JSON.parse(value);
+        } catch (e) {
+            throw new ChatRequestError(`rules is not valid JSON: ${e.message}`, 'rules');
+        }
+    } else if (typeof value === 'string') {
+        list = value.split(',').filter(s => s.trim());
+    }
+    if (!Array.isArray(list)) throw new ChatRequestError('rules must be an array or a comma-separated string', 'rules');
+    return list.map(parseRule);
+}
+
+// Shared by every session, so a rotated request meets the next rule on its fresh browser
+const script = {
+    rules: [],
+    served: 0,
+
+    load(value) {
+        this.rules = parseScript(value);
+        console.log(`[Mock] Script loaded: ${this.rules.length} rule(s)`);
+        return this.describe();
+    },
+
+    // Next rule for a page call (null = answer normally)
+    next(method) {
+        const rule = this.rules.find(r => r.method === '*' || r.method === method);
+        if (!rule) return null;
+        if (--rule.times <= 0) this.rules.splice(this.rules.indexOf(rule), 1);
+        this.served++;
+        console.log(`[Mock] ${method}: scripted ${rule.fail}${rule.ms ? `=${rule.ms}` : ''}`);
+        return { fail: rule.fail, ms: rule.ms };
+    },
+
+    describe() {
+        return { provider, rules: this.rules.map(r => ({ ...r })), served: this.served };
+    }
+};
+
+if (enabled) {
+    try {
+        script.load(process.env.MOCK_SCRIPT);
+    } catch (e) {
+        console.error(`[Mock] Ignoring MOCK_SCRIPT: ${e.message}`);
+    }
+}
+
+// Browser + page for a session: Chrome without the real-browser patches, or the in-process fake
+async function launch({ executablePath, args = [] } = {}) {
+    if (provider === 'mock-inprocess') return launchInProcess();
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({ headless: true, executablePath, args });
+    const [page] = await browser.pages();
+    return { browser, page };
+}
+
+// Hooks the stub calls back into: the failure script and the crash switch
+async function attach(session) {
+    await session.page.exposeFunction('__mockNext', (method) => script.next(method));
+    await session.page.exposeFunction('__mockCrash', () => {
+        // Not from inside the binding call that asked for it
+        setTimeout(() => {
+            console.warn(`[Mock] Crashing Session #${session.id}`);
+            if (session.page.crash) session.page.crash();
+            else session.page.goto('chrome://crash').catch(() => { }); // A real renderer crash
+        }, 0);
+    });
+}
+
+module.exports = {
+    provider,
+    enabled,
+    STUB_URL,
+    script,
+    launch,
+    attach
+};
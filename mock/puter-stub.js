@@ -0,0 +1,222 @@
+/**
+ * Puter Stub - A fake `puter` global for offline development (PUTER_PROVIDER=mock / mock-inprocess)
+ *
+ * Loaded by puter-stub.html in Chrome, or run directly in the in-process page's vm context, so it
+ * only uses what both offer (Blob, fetch, atob/btoa, setTimeout).
+ *
+ * Answers are canned and deterministic: the same request always gets the same reply. Failures are
+ * scripted from Node (window.__mockNext, see mock/index.js) or per request with a directive in the
+ * prompt / text, e.g. "hello [mock:rate_limit]" or "[mock:slow=3000]":
+ *   rate_limit, quota, auth, content, error   throw the matching Puter-style error
+ *   slow=<ms>                                 answer after a delay (default 5000)
+ *   hang                                      never answer
+ *   crash                                     kill the page (as if the renderer crashed)
+ */
+(function () {
+    const FAILURES = {
+        rate_limit: { code: 'rate_limited', message: 'Too many requests, please slow down', status: 429 },
+        quota: { code: 'insufficient_funds', message: 'Usage limit exceeded for this account', status: 402 },
+        auth: { code: 'token_auth_failed', message: 'Unauthorized: token expired', status: 401 },
+        content: { code: 'moderation_failed', message: 'Request flagged by content moderation', status: 400 },
+        error: { code: 'internal_error', message: 'Mock upstream failure', status: 500 }
+    };
+    const DIRECTIVE = /\[mock:([a-z_]+)(?:=(\d+))?\]/i;
+
+    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+    // Apply the scripted rule for this call, if any (directive in the text first, then Node's script)
+    async function scripted(method, text) {
+        const directive = DIRECTIVE.exec(typeof text === 'string' ? text : JSON.stringify(text || ''));
+        const rule = directive
+            ? { fail: directive[1].toLowerCase(), ms: directive[2] ? Number(directive[2]) : undefined }
+            : (typeof window.__mockNext === 'function' ? await window.__mockNext(method) : null);
+        if (!rule) return;
+        if (rule.fail === 'slow') return sleep(rule.ms ?? 5000);
+        if (rule.fail === 'hang') return new Promise(() => { });
+        if (rule.fail === 'crash') {
+            if (typeof window.__mockCrash === 'function') window.__mockCrash();
+            return new Promise(() => { });
+        }
+        if (rule.ms) await sleep(rule.ms);
+        const failure = FAILURES[rule.fail] || FAILURES.error;
+        throw { success: false, error: { ...failure } };
+    }
+
+    // Deterministic short hash, so different inputs get visibly different answers
+    function hash(text) {
+        let h = 2166136261;
+        for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+        return (h >>> 0).toString(16).padStart(8, '0');
+    }
+
+    function lastUserText(prompt) {
+        if (typeof prompt === 'string') return prompt;
+        const messages = Array.isArray(prompt) ? prompt : [];
+        const last = [...messages].reverse().find(m => m.role === 'user') || messages[messages.length - 1];
+        const content = last?.content;
+        if (typeof content === 'string') return content;
+        if (Array.isArray(content)) return content.map(c => (typeof c === 'string' ? c : c.text || '')).join(' ');
+        return '';
+    }
+
+    // Placeholder value satisfying a JSON schema (tool call arguments)
+    function sample(schema) {
+        if (!schema || typeof schema !== 'object') return null;
+        if (schema.enum) return schema.enum[0];
+        const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+        if (type === 'string') return 'mock';
+        if (type === 'number' || type === 'integer') return 1;
+        if (type === 'boolean') return true;
+        if (type === 'array') return [];
+        const out = {};
+        for (const key of schema.required || []) out[key] = sample(schema.properties?.[key]);
+        return out;
+    }
+
+    // --- puter.ai ---
+
+    async function chat(prompt, options = {}) {
+        const text = lastUserText(prompt);
+        await scripted('chat', text);
+        const model = options.model || 'mock';
+        const messages = Array.isArray(prompt) ? prompt : [];
+
+        // Tools offered and no tool result yet: call the chosen (or first) tool
+        const toolsDone = messages.some(m => m.role === 'tool');
+        if (Array.isArray(options.tools) && options.tools.length && !toolsDone && options.tool_choice !== 'none') {
+            const chosen = options.tool_choice?.function?.name;
+            const tool = options.tools.find(t => t.function.name === chosen) || options.tools[0];
+            const message = {
+                role: 'assistant',
+                content: null,
+                tool_calls: [{
+                    id: `call_${hash(text + tool.function.name)}`,
+                    type: 'function',
+                    function: { name: tool.function.name, arguments: JSON.stringify(sample(tool.function.parameters) || {}) }
+                }]
+            };
+            return { message, finish_reason: 'tool_calls', usage: [{ type: 'prompt', amount: Math.ceil(text.length / 4) }, { type: 'completion', amount: 8 }] };
+        }
+
+        let reply = `Mock reply from ${model} [${hash(model + text)}]: ${text.slice(0, 200)}`;
+        if (/sonar/i.test(model)) {
+            reply = `<think>Looking up "${text.slice(0, 60)}"</think>Mock search answer [1][2].`;
+        }
+        const usage = [{ type: 'prompt', amount: Math.ceil(text.length / 4) }, { type: 'completion', amount: Math.ceil(reply.length / 4) }];
+
+        if (options.stream) {
+            const words = reply.split(/(?<= )/);
+            return (async function* () {
+                for (const word of words) {
+                    await sleep(5);
+                    yield { text: word };
+                }
+                yield { text: '', finish_reason: 'stop' };
+            })();
+        }
+
+        const result = { message: { role: 'assistant', content: reply }, finish_reason: 'stop', usage };
+        if (/sonar/i.test(model)) {
+            result.citations = ['https://example.com/mock-1', 'https://example.org/mock-2'];
+            result.search_results = [
+                { url: 'https://example.com/mock-1', title: 'Mock source one', snippet: 'First canned snippet' },
+                { url: 'https://example.org/mock-2', title: 'Mock source two', snippet: 'Second canned snippet' }
+            ];
+        }
+        return result;
+    }
+
+    // 1x1 PNG
+    const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+    async function txt2img(prompt, options = {}) {
+        await scripted('txt2img', prompt);
+        const image = `data:image/png;base64,${PNG}`;
+        const n = Number(options.n) || 1;
+        return n > 1 ? Array.from({ length: n }, () => image) : image;
+    }
+
+    // Silent MPEG-1 Layer III frames (128 kbps, 44.1 kHz, 417 bytes each, ~26ms), length follows the text
+    function silentMp3(text) {
+        const frames = Math.min(400, Math.max(10, Math.ceil(String(text).length / 2)));
+        const frame = '\xFF\xFB\x90\x64' + '\0'.repeat(413);
+        return `data:audio/mpeg;base64,${btoa(frame.repeat(frames))}`;
+    }
+
+    async function txt2speech(text, options = {}) {
+        await scripted('txt2speech', text);
+        return { tagName: 'AUDIO', src: silentMp3(text) };
+    }
+
+    async function speech2speech(source, options = {}) {
+        await scripted('speech2speech', options.voice || '');
+        return { tagName: 'AUDIO', src: silentMp3(`${options.voice || 'voice'} conversion`) };
+    }
+
+    async function speech2txt(file, options = {}) {
+        await scripted('speech2txt', options.prompt || '');
+        const blob = files.get(file);
+        const size = blob ? blob.size : 0;
+        const text = options.translate
+            ? `Mock translation of ${size} bytes of audio.`
+            : `Mock transcript of ${size} bytes of audio.`;
+        const duration = Math.max(1, Math.round(size / 16000));
+        const result = {
+            task: options.translate ? 'translate' : 'transcribe',
+            language: options.language || 'en',
+            duration,
+            text,
+            segments: [{ id: 0, start: 0, end: duration, text }]
+        };
+        if (Array.isArray(options.timestamp_granularities) && options.timestamp_granularities.includes('word')) {
+            const words = text.split(' ');
+            result.words = words.map((word, i) => ({ word, start: (i * duration) / words.length, end: ((i + 1) * duration) / words.length }));
+        }
+        return result;
+    }
+
+    // Smallest MP4 a sniffer recognizes: an ftyp box
+    const MP4 = 'AAAAGGZ0eXBtcDQyAAAAAG1wNDJpc29t';
+
+    async function txt2vid(prompt) {
+        await scripted('txt2vid', prompt);
+        return { tagName: 'VIDEO', src: `data:video/mp4;base64,${MP4}` };
+    }
+
+    // --- puter.fs (in memory) ---
+
+    const files = new Map();
+    const fsApi = {
+        write: async (path, data) => {
+            await scripted('fs.write', path);
+            files.set(path, data instanceof Blob ? data : new Blob([data]));
+            return { path, size: files.get(path).size };
+        },
+        read: async (path) => {
+            if (!files.has(path)) throw { success: false, error: { code: 'subject_does_not_exist', message: `${path} does not exist`, status: 404 } };
+            return files.get(path);
+        },
+        delete: async (path) => {
+            files.delete(path);
+            return true;
+        }
+    };
+
+    // --- puter.auth ---
+
+    const token = `mock-token-${hash(String(Date.now()))}`;
+    const user = { username: 'mock-user', uuid: '00000000-0000-4000-8000-000000000000', is_temp: true };
+
+    window.puter = {
+        authToken: token,
+        ai: { chat, txt2img, txt2speech, speech2speech, speech2txt, txt2vid },
+        fs: fsApi,
+        auth: {
+            isSignedIn: () => true,
+            getUser: async () => user,
+            signIn: async () => user,
+            signOut: async () => { }
+        }
+    };
+    try { localStorage.setItem('puter.auth.token', token); } catch (e) { }
+})();
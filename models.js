@@ -0,0 +1,206 @@
+/**
+ * Models - Registry of the models this server exposes, with capabilities, aliases and defaults
+ *
+ * The built-in catalog can be extended or overridden by a JSON file:
+ *   {
+ *     "models":   [{ "id": "...", "capabilities": ["chat", "vision"], "context": 128000, "aliases": ["..."] }],
+ *     "defaults": { "chat": "...", "image": "..." },
+ *     "aliases":  { "fast": "..." },
+ *     "strict":   true
+ *   }
+ *
+ * Env:
+ *   MODELS_FILE           path of that file (default ./data/models.json, optional)
+ *   MODELS_STRICT         'false' lets unknown model ids through to Puter (with a warning)
+ *   DEFAULT_<MODALITY>_MODEL   e.g. DEFAULT_CHAT_MODEL, DEFAULT_IMAGE_MODEL, DEFAULT_TTS_MODEL
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+
+const CAPABILITIES = ['chat', 'vision', 'tools', 'search', 'image', 'image_edit', 'video', 'tts', 'stt', 's2s'];
+const MODALITIES = ['chat', 'vision', 'search', 'image', 'video', 'tts', 'stt', 's2s'];
+
+const BUILTIN_MODELS = [
+    // Chat
+    { id: 'gemini-2.0-flash', owned_by: 'google', capabilities: ['chat', 'vision', 'tools'], context: 1048576 },
+    { id: 'gemini-2.5-flash', owned_by: 'google', capabilities: ['chat', 'vision', 'tools'], context: 1048576 },
+    { id: 'gemini-2.5-pro', owned_by: 'google', capabilities: ['chat', 'vision', 'tools'], context: 1048576 },
+    { id: 'gemini-3-pro-preview', owned_by: 'google', capabilities: ['chat', 'vision', 'tools'], context: 1048576 },
+    { id: 'gpt-4o', owned_by: 'openai', capabilities: ['chat', 'vision', 'tools'], context: 128000 },
+    { id: 'gpt-4o-mini', owned_by: 'openai', capabilities: ['chat', 'vision', 'tools'], context: 128000 },
+    { id: 'gpt-4.1', owned_by: 'openai', capabilities: ['chat', 'vision', 'tools'], context: 1047576 },
+    { id: 'gpt-5', owned_by: 'openai', capabilities: ['chat', 'vision', 'tools'], context: 400000 },
+    { id: 'gpt-5-mini', owned_by: 'openai', capabilities: ['chat', 'vision', 'tools'], context: 400000 },
+    { id: 'o3-mini', owned_by: 'openai', capabilities: ['chat', 'tools'], context: 200000 },
+    { id: 'claude-sonnet-4-5', owned_by: 'anthropic', capabilities: ['chat', 'vision', 'tools'], context: 200000, aliases: ['claude-sonnet'] },
+    { id: 'claude-opus-4-1', owned_by: 'anthropic', capabilities: ['chat', 'vision', 'tools'], context: 200000, aliases: ['claude-opus'] },
+    { id: 'claude-3-5-sonnet', owned_by: 'anthropic', capabilities: ['chat', 'vision', 'tools'], context: 200000 },
+    { id: 'deepseek-chat', owned_by: 'deepseek', capabilities: ['chat'], context: 64000 },
+    { id: 'deepseek-reasoner', owned_by: 'deepseek', capabilities: ['chat'], context: 64000 },
+    { id: 'mistral-large-latest', owned_by: 'mistral', capabilities: ['chat', 'tools'], context: 128000 },
+    { id: 'grok-3', owned_by: 'xai', capabilities: ['chat', 'tools'], context: 131072 },
+
+    // Search (Perplexity)
+    { id: 'sonar', owned_by: 'perplexity', capabilities: ['chat', 'search'], context: 127072 },
+    { id: 'sonar-pro', owned_by: 'perplexity', capabilities: ['chat', 'search'], context: 200000 },
+    { id: 'sonar-reasoning', owned_by: 'perplexity', capabilities: ['chat', 'search'], context: 127072 },
+    { id: 'sonar-reasoning-pro', owned_by: 'perplexity', capabilities: ['chat', 'search'], context: 127072 },
+    { id: 'sonar-deep-research', owned_by: 'perplexity', capabilities: ['chat', 'search'], context: 127072 },
+
+    // Image
+    { id: 'gemini-2.5-flash-image-preview', owned_by: 'google', capabilities: ['image', 'image_edit'], aliases: ['nano-banana'] },
+    { id: 'gpt-image-1', owned_by: 'openai', capabilities: ['image', 'image_edit'] },
+    { id: 'dall-e-3', owned_by: 'openai', capabilities: ['image'] },
+    { id: 'black-forest-labs/FLUX.1.1-pro', owned_by: 'black-forest-labs', capabilities: ['image'], aliases: ['flux-pro'] },
+    { id: 'black-forest-labs/FLUX.1-schnell', owned_by: 'black-forest-labs', capabilities: ['image'], aliases: ['flux-schnell'] },
+
+    // Video
+    { id: 'sora-2', owned_by: 'openai', capabilities: ['video'] },
+    { id: 'sora-2-pro', owned_by: 'openai', capabilities: ['video'] },
+
+    // Audio
+    { id: 'eleven_multilingual_v2', owned_by: 'elevenlabs', capabilities: ['tts'], aliases: ['tts-1-hd', 'gpt-4o-mini-tts'] },
+    { id: 'eleven_flash_v2_5', owned_by: 'elevenlabs', capabilities: ['tts'], aliases: ['tts-1'] },
+    { id: 'eleven_turbo_v2_5', owned_by: 'elevenlabs', capabilities: ['tts'] },
+    { id: 'whisper-1', owned_by: 'openai', capabilities: ['stt'] },
+    { id: 'gpt-4o-transcribe', owned_by: 'openai', capabilities: ['stt'] },
+    { id: 'gpt-4o-mini-transcribe', owned_by: 'openai', capabilities: ['stt'] },
+    { id: 'eleven_multilingual_sts_v2', owned_by: 'elevenlabs', capabilities: ['s2s'] },
+    { id: 'eleven_english_sts_v2', owned_by: 'elevenlabs', capabilities: ['s2s'] }
+];
+
+const BUILTIN_DEFAULTS = {
+    chat: 'gemini-2.0-flash',
+    vision: 'gemini-2.5-flash',
+    search: 'sonar-reasoning-pro',
+    image: 'gemini-2.5-flash-image-preview',
+    video: 'sora-2',
+    tts: 'eleven_multilingual_v2',
+    stt: 'whisper-1',
+    s2s: 'eleven_multilingual_sts_v2'
+};
+
+const BUILTIN_ALIASES = {
+    fast: 'gemini-2.0-flash',
+    smart: 'claude-sonnet-4-5',
+    cheap: 'gpt-4o-mini'
+};
+
+// Unknown model, or a model without the requested capability
+// code: model_not_found (404) or model_not_supported (400), see errors.js
+class ModelError extends ApiError {
+    constructor(message, code, param = 'model') {
+        super(code, message, { param });
+        this.name = 'ModelError';
+    }
+}
+
+let registry = null;
+
+function loadConfigFile() {
+    const file = process.env.MODELS_FILE || path.join(__dirname, 'data', 'models.json');
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new Error(`[Models] Cannot read ${file}: ${e.message}`);
+    }
+}
+
+// Build the registry once: builtin catalog < file < env
+function load() {
+    if (registry) return registry;
+    const config = loadConfigFile();
+
+    const models = new Map();
+    for (const entry of [...BUILTIN_MODELS, ...(config.models || [])]) {
+        const unknown = (entry.capabilities || []).filter(c => !CAPABILITIES.includes(c));
+        if (unknown.length) console.warn(`[Models] ${entry.id}: ignoring unknown capabilities ${unknown.join(', ')}`);
+        models.set(entry.id, {
+            id: entry.id,
+            owned_by: entry.owned_by || 'puter',
+            capabilities: (entry.capabilities || []).filter(c => CAPABILITIES.includes(c)),
+            context: entry.context || null,
+            aliases: entry.aliases || []
+        });
+    }
+
+    const aliases = { ...BUILTIN_ALIASES, ...(config.aliases || {}) };
+    for (const model of models.values()) {
+        for (const alias of model.aliases) aliases[alias] = model.id;
+    }
+
+    const defaults = { ...BUILTIN_DEFAULTS, ...(config.defaults || {}) };
+    for (const modality of MODALITIES) {
+        const env = process.env[`DEFAULT_${modality.toUpperCase()}_MODEL`];
+        if (env) defaults[modality] = env;
+    }
+
+    const strict = process.env.MODELS_STRICT ? process.env.MODELS_STRICT !== 'false' : config.strict !== false;
+    registry = { models, aliases, defaults, strict };
+
+    for (const [modality, id] of Object.entries(defaults)) {
+        const model = models.get(aliases[id] || id);
+        if (!model) console.warn(`[Models] Default ${modality} model "${id}" is not in the catalog`);
+    }
+    return registry;
+}
+
+function getModel(id) {
+    const { models, aliases } = load();
+    return models.get(aliases[id] || id) || null;
+}
+
+function hasCapability(id, capability) {
+    return !!getModel(id)?.capabilities.includes(capability);
+}
+
+function defaultModel(capability) {
+    const { defaults, aliases } = load();
+    const id = defaults[capability];
+    return aliases[id] || id;
+}
+
+// Resolve a requested model (id, alias or empty for the default) for a capability.
+// Throws ModelError (404 unknown, 400 wrong capability) so typos fail before reaching the page.
+function resolveModel(requested, capability, param = 'model') {
+    if (requested !== undefined && requested !== null && typeof requested !== 'string') {
+        throw new ModelError(`${param} must be a string`, 'invalid_request', param);
+    }
+    if (!requested) return defaultModel(capability);
+
+    const model = getModel(requested);
+    if (!model) {
+        if (!load().strict) {
+            console.warn(`[Models] Unknown model "${requested}" passed through (MODELS_STRICT=false)`);
+            return requested;
+        }
+        throw new ModelError(`The model '${requested}' does not exist. See GET /v1/models for the available models.`, 'model_not_found', param);
+    }
+    if (capability && !model.capabilities.includes(capability)) {
+        throw new ModelError(`The model '${model.id}' does not support ${capability} (capabilities: ${model.capabilities.join(', ')})`, 'model_not_supported', param);
+    }
+    return model.id;
+}
+
+function listModels() {
+    return [...load().models.values()];
+}
+
+function describeRegistry() {
+    const { aliases, defaults, strict } = load();
+    return { models: listModels(), aliases, defaults, strict };
+}
+
+module.exports = {
+    CAPABILITIES,
+    ModelError,
+    getModel,
+    hasCapability,
+    defaultModel,
+    resolveModel,
+    listModels,
+    describeRegistry
+};
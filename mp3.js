@@ -0,0 +1,131 @@
+/**
+ * MP3 - Just enough MPEG audio frame handling to stitch TTS chunks into one file
+ *
+ * - parse a frame header (version, sample rate, channels, frame length)
+ * - strip ID3 tags and the Xing/Info/VBRI header frame, whose duration would be wrong after joining
+ * - generate digital silence as frames matching the chunks' format
+ * - walk the frames of a file (used to cut long recordings into windows)
+ */
+
+const BITRATES = {
+    v1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const SAMPLE_RATES = {
+    1: [44100, 48000, 32000],    // MPEG-1
+    2: [22050, 24000, 16000],    // MPEG-2
+    2.5: [11025, 12000, 8000]    // MPEG-2.5
+};
+const VERSION_BITS = { 0: 2.5, 2: 2, 3: 1 };
+
+// ElevenLabs' default output, used when no chunk could be parsed
+const DEFAULT_FORMAT = { version: 1, sampleRate: 44100, bitrate: 128, mono: true };
+
+// Layer III header at `offset`, or null
+function parseHeader(buf, offset = 0) {
+    if (offset + 4 > buf.length || buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+    const version = VERSION_BITS[(buf[offset + 1] >> 3) & 0x03];
+    const layer = (buf[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buf[offset + 2] >> 4;
+    const rateIndex = (buf[offset + 2] >> 2) & 0x03;
+    if (!version || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+    const bitrate = BITRATES[version === 1 ? 'v1' : 'v2'][bitrateIndex];
+    const sampleRate = SAMPLE_RATES[version][rateIndex];
+    const padding = (buf[offset + 2] >> 1) & 0x01;
+    const mono = (buf[offset + 3] >> 6) === 3;
+    const factor = version === 1 ? 144 : 72;
+    return {
+        version,
+        bitrate,
+        sampleRate,
+        mono,
+        samples: version === 1 ? 1152 : 576,
+        length: Math.floor(factor * bitrate * 1000 / sampleRate) + padding
+    };
+}
+
+function id3v2Size(buf) {
+    if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+    // Syncsafe integer, plus the 10 byte header (and 10 more with a footer)
+    const size = (buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9];
+    return 10 + size + ((buf[5] & 0x10) ? 10 : 0);
+}
+
+// First frame of a buffer (after any ID3v2 tag): { offset, header } or null
+function firstFrame(buf) {
+    for (let offset = id3v2Size(buf); offset < Math.min(buf.length - 4, 64 * 1024); offset++) {
+        const header = parseHeader(buf, offset);
+        if (header && (offset + header.length === buf.length || parseHeader(buf, offset + header.length))) {
+            return { offset, header };
+        }
+    }
+    return null;
+}
+
+// Audio frames only: no ID3v2/ID3v1 tags, no Xing/Info/VBRI frame. Returns { data, format }.
+function stripAudio(buf) {
+    const first = firstFrame(buf);
+    if (!first) throw new Error('Not an MP3 stream');
+    let start = first.offset;
+    let end = buf.length;
+    if (end - start >= 128 && buf.toString('latin1', end - 128, end - 125) === 'TAG') end -= 128;
+
+    const frame = buf.toString('latin1', start, Math.min(start + first.header.length, end));
+    if (/Xing|Info|VBRI/.test(frame.substring(0, 64))) start += first.header.length;
+
+    const { version, sampleRate, bitrate, mono } = first.header;
+    return { data: buf.subarray(start, end), format: { version, sampleRate, bitrate, mono } };
+}
+
+// Every audio frame after the first: { offset, length, duration } (seconds).
+// Garbage between frames is skipped by searching for the next valid header.
+// `source` is { size, read(offset, length) } (see audio-windows.js), read a block at a time.
+async function* frames(source) {
+    const BLOCK = 1024 * 1024;
+    let block = await source.read(0, Math.min(source.size, BLOCK));
+    let blockStart = 0;
+    const first = firstFrame(block);
+    if (!first) return;
+    let offset = first.offset;
+    while (offset + 4 <= source.size) {
+        if (offset + 4 > blockStart + block.length) {
+            block = await source.read(offset, Math.min(source.size - offset, BLOCK));
+            blockStart = offset;
+        }
+        const header = parseHeader(block, offset - blockStart);
+        if (!header) {
+            offset++;
+            continue;
+        }
+        yield { offset, length: Math.min(header.length, source.size - offset), duration: header.samples / header.sampleRate };
+        offset += header.length;
+    }
+}
+
+// Frames of silence lasting about `ms` in the given format.
+// A zeroed side-info/main-data block decodes to digital silence.
+function silence(ms, format = DEFAULT_FORMAT) {
+    const { version, sampleRate, bitrate, mono } = format;
+    const versionBits = Object.keys(VERSION_BITS).find(k => VERSION_BITS[k] === version);
+    const header = Buffer.from([
+        0xff,
+        0xe0 | (versionBits << 3) | (1 << 1) | 1, // Layer III, no CRC
+        (BITRATES[version === 1 ? 'v1' : 'v2'].indexOf(bitrate) << 4) | (SAMPLE_RATES[version].indexOf(sampleRate) << 2),
+        mono ? 0xc0 : 0x00
+    ]);
+    const parsed = parseHeader(header);
+    const frame = Buffer.alloc(parsed.length);
+    header.copy(frame);
+
+    const count = Math.max(1, Math.round(ms / 1000 * sampleRate / parsed.samples));
+    return Buffer.concat(Array(count).fill(frame));
+}
+
+module.exports = {
+    DEFAULT_FORMAT,
+    parseHeader,
+    stripAudio,
+    silence,
+    frames
+};
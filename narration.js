@@ -0,0 +1,109 @@
+/**
+ * Narration - Plans long-form TTS: splits text into provider-sized chunks and pauses
+ *
+ * Chunks end at paragraph or sentence boundaries (commas / spaces only for run-on sentences).
+ * Pause markers in the text become silence between chunks:
+ *   [pause]  [pause 2s]  [pause 750ms]  <break time="1.5s"/>
+ *
+ * Env:
+ *   TTS_CHUNK_CHARS       max characters per synthesized chunk (default 2500)
+ *   NARRATION_MAX_CHARS   max text length for one narration (default 200000)
+ */
+
+const { ChatRequestError } = require('./chat-request');
+
+const CHUNK_CHARS = Number(process.env.TTS_CHUNK_CHARS) || 2500;
+const MAX_CHARS = Number(process.env.NARRATION_MAX_CHARS) || 200000;
+const DEFAULT_PAUSE_MS = 1000;
+const MAX_PAUSE_MS = 10000;
+
+const PAUSE_MARKER = /\[pause(?:\s+(\d+(?:\.\d+)?)\s*(ms|s)?)?\]|<break\s*(?:time\s*=\s*["'](\d+(?:\.\d+)?)\s*(ms|s)["'])?\s*\/?>/gi;
+
+function markerMs(amount, unit) {
+    if (!amount) return DEFAULT_PAUSE_MS;
+    const ms = Number(amount) * (unit && unit.toLowerCase() === 'ms' ? 1 : 1000);
+    return Math.min(MAX_PAUSE_MS, Math.round(ms));
+}
+
+// Sentences of a paragraph, keeping their punctuation
+function sentences(paragraph) {
+    return paragraph.match(/[^.!?。！？]+(?:[.!?。！？]+["'”’)\]]*|$)\s*/g) || [paragraph];
+}
+
+// Pieces of an over-long sentence, cut at commas, then at spaces, then anywhere
+function splitLong(sentence, max) {
+    if (sentence.length <= max) return [sentence];
+    const pieces = [];
+    let rest = sentence;
+    while (rest.length > max) {
+        const window = rest.substring(0, max);
+        let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '));
+        if (cut < max / 2) cut = window.lastIndexOf(' ');
+        if (cut < max / 2) cut = max - 1;
+        pieces.push(rest.substring(0, cut + 1));
+        rest = rest.substring(cut + 1);
+    }
+    if (rest.trim()) pieces.push(rest);
+    return pieces;
+}
+
+// Pack paragraphs of a marker-free span into chunks of at most `max` characters
+function chunkSpan(text, max, paragraphPauseMs, items) {
+    const paragraphs = text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    paragraphs.forEach((paragraph, p) => {
+        if (p > 0 && paragraphPauseMs > 0) items.push({ type: 'pause', ms: paragraphPauseMs });
+        let current = '';
+        for (const piece of sentences(paragraph).flatMap(s => splitLong(s, max))) {
+            if (current && current.length + piece.length > max) {
+                items.push({ type: 'text', text: current.trim() });
+                current = '';
+            }
+            current += piece;
+        }
+        if (current.trim()) items.push({ type: 'text', text: current.trim() });
+    });
+}
+
+// Plan a narration: [{ type: 'text', text } | { type: 'pause', ms }] in order.
+// Throws ChatRequestError for empty or oversized text.
+function planNarration(text, { paragraphPauseMs = 0, maxChars = CHUNK_CHARS } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new ChatRequestError('text must be a non-empty string', 'text');
+    }
+    if (text.length > MAX_CHARS) {
+        throw new ChatRequestError(`text is ${text.length} characters, the limit is ${MAX_CHARS}`, 'text', 413);
+    }
+    const pause = Number(paragraphPauseMs);
+    if (!Number.isFinite(pause) || pause < 0 || pause > MAX_PAUSE_MS) {
+        throw new ChatRequestError(`pause_ms must be between 0 and ${MAX_PAUSE_MS}`, 'pause_ms');
+    }
+
+    const items = [];
+    let last = 0;
+    for (const match of text.matchAll(PAUSE_MARKER)) {
+        chunkSpan(text.substring(last, match.index), maxChars, pause, items);
+        items.push({ type: 'pause', ms: markerMs(match[1] || match[3], match[2] || match[4]) });
+        last = match.index + match[0].length;
+    }
+    chunkSpan(text.substring(last), maxChars, pause, items);
+
+    // Merge adjacent pauses, drop leading/trailing ones
+    const plan = [];
+    for (const item of items) {
+        const prev = plan[plan.length - 1];
+        if (item.type === 'pause' && prev?.type === 'pause') prev.ms = Math.min(MAX_PAUSE_MS, prev.ms + item.ms);
+        else plan.push({ ...item });
+    }
+    while (plan[0]?.type === 'pause') plan.shift();
+    while (plan[plan.length - 1]?.type === 'pause') plan.pop();
+
+    if (!plan.some(i => i.type === 'text')) {
+        throw new ChatRequestError('text has nothing to speak besides pause markers', 'text');
+    }
+    return plan;
+}
+
+module.exports = {
+    CHUNK_CHARS,
+    planNarration
+};
@@ -0,0 +1,184 @@
+/**
+ * Request Queue - Throttles work sent to the browser
+ *
+ * - Max in-flight jobs per action type (Chat, Image, Video, TTS...) plus a global cap
+ * - Priority lanes (high > normal > low), FIFO within a lane
+ * - Per-job timeouts (time in queue + time running)
+ * - Bounded backlog: callers get QueueFullError (-> 503 + Retry-After) when it is full
+ *
+ * Env:
+ *   QUEUE_MAX_INFLIGHT   global in-flight cap (default 3)
+ *   QUEUE_MAX_BACKLOG    max waiting jobs (default 50)
+ *   QUEUE_CONCURRENCY    per-action caps, e.g. "Chat=2,Image=1"
+ *   QUEUE_TIMEOUTS       per-action timeouts in seconds, e.g. "Chat=120,Video=900"
+ */
+
+const { ApiError } = require('./errors');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+const DEFAULT_CONCURRENCY = { Chat: 2, Search: 1, Image: 1, Video: 1, TTS: 1, STT: 1, S2S: 1 };
+const DEFAULT_TIMEOUTS = { Chat: 180, Search: 120, Image: 240, Video: 900, TTS: 120, STT: 180, S2S: 180 };
+
+class QueueFullError extends ApiError {
+    constructor(action, retryAfter) {
+        super('server_busy', `Server busy: ${action} queue is full, retry in ${retryAfter}s`, { retryAfter });
+        this.name = 'QueueFullError';
+    }
+}
+
+class QueueTimeoutError extends ApiError {
+    constructor(action, seconds, started) {
+        super('timeout', `${action} job timed out after ${seconds}s (${started ? 'while running' : 'still queued'})`);
+        this.name = 'QueueTimeoutError';
+    }
+}
+
+// Parse "Chat=2,Image=1" into { Chat: 2, Image: 1 }
+function parseMap(value) {
+    const out = {};
+    for (const pair of (value || '').split(',')) {
+        const [key, num] = pair.split('=').map(s => s && s.trim());
+        if (key && Number(num) > 0) out[key] = Number(num);
+    }
+    return out;
+}
+
+class RequestQueue {
+    constructor(options = {}) {
+        this.maxInFlight = options.maxInFlight || Number(process.env.QUEUE_MAX_INFLIGHT) || 3;
+        this.maxBacklog = options.maxBacklog || Number(process.env.QUEUE_MAX_BACKLOG) || 50;
+        this.concurrency = { ...DEFAULT_CONCURRENCY, ...parseMap(process.env.QUEUE_CONCURRENCY), ...options.concurrency };
+        this.timeouts = { ...DEFAULT_TIMEOUTS, ...parseMap(process.env.QUEUE_TIMEOUTS), ...options.timeouts };
+
+        this.lanes = { high: [], normal: [], low: [] };
+        this.running = {};      // action -> in-flight count
+        this.totalRunning = 0;
+        this.avgDuration = {};  // action -> moving average (ms), used for Retry-After
+        this.counters = { completed: 0, failed: 0, rejected: 0, timedOut: 0 };
+    }
+
+    get backlog() {
+        return PRIORITIES.reduce((n, p) => n + this.lanes[p].length, 0);
+    }
+
+    limitFor(action) {
+        return this.concurrency[action] || 1;
+    }
+
+    // Rough wait estimate for a new job of this action
+    estimateWait(action) {
+        const avg = this.avgDuration[action] || 30000;
+        const ahead = this.backlog + (this.running[action] || 0);
+        return Math.max(1, Math.ceil((ahead * avg) / this.limitFor(action) / 1000));
+    }
+
+    // Throw early (e.g. before opening an SSE stream) when a job could not be accepted
+    assertCapacity(action) {
+        if (this.backlog >= this.maxBacklog) {
+            this.counters.rejected++;
+            throw new QueueFullError(action, this.estimateWait(action));
+        }
+    }
+
+    // Queue fn() under `action`. Resolves/rejects with fn's result; onStart() is called when it
+    // leaves the queue.
+    run(action, fn, { priority = 'normal', onStart = null } = {}) {
+        const lane = PRIORITIES.includes(priority) ? priority : 'normal';
+        this.assertCapacity(action);
+
+        return new Promise((resolve, reject) => {
+            const job = { action, fn, onStart, resolve, reject, enqueuedAt: Date.now(), started: false, settled: false };
+            const seconds = this.timeouts[action] || 180;
+
+            // The timer covers waiting + running. A timed-out job that is already running keeps its
+            // slot until the page call returns, so the browser is never handed more work than allowed.
+            job.timer = setTimeout(() => {
+                if (job.settled) return;
+                job.settled = true;
+                this.counters.timedOut++;
+                if (!job.started) {
+                    const queue = this.lanes[lane];
+                    const idx = queue.indexOf(job);
+                    if (idx !== -1) queue.splice(idx, 1);
+                }
+                reject(new QueueTimeoutError(action, seconds, job.started));
+            }, seconds * 1000);
+
+            this.lanes[lane].push(job);
+            this.drain();
+        });
+    }
+
+    // Start every queued job that fits under the global and per-action limits
+    drain() {
+        while (this.totalRunning < this.maxInFlight) {
+            const job = this.nextRunnable();
+            if (!job) return;
+            this.start(job);
+        }
+    }
+
+    nextRunnable() {
+        for (const p of PRIORITIES) {
+            const queue = this.lanes[p];
+            const idx = queue.findIndex(j => (this.running[j.action] || 0) < this.limitFor(j.action));
+            if (idx !== -1) return queue.splice(idx, 1)[0];
+        }
+        return null;
+    }
+
+    start(job) {
+        job.started = true;
+        this.running[job.action] = (this.running[job.action] || 0) + 1;
+        this.totalRunning++;
+        const startedAt = Date.now();
+
+        Promise.resolve()
+            .then(() => {
+                if (job.onStart) job.onStart();
+                return job.fn();
+            })
+            .then(result => {
+                this.counters.completed++;
+                if (!job.settled) job.resolve(result);
+            }, err => {
+                this.counters.failed++;
+                if (!job.settled) job.reject(err);
+            })
+            .finally(() => {
+                job.settled = true;
+                clearTimeout(job.timer);
+                const prev = this.avgDuration[job.action];
+                const took = Date.now() - startedAt;
+                this.avgDuration[job.action] = prev ? Math.round(prev * 0.8 + took * 0.2) : took;
+                this.running[job.action]--;
+                this.totalRunning--;
+                this.drain();
+            });
+    }
+
+    stats() {
+        const queued = {};
+        for (const p of PRIORITIES) {
+            for (const job of this.lanes[p]) queued[job.action] = (queued[job.action] || 0) + 1;
+        }
+        return {
+            inFlight: this.totalRunning,
+            maxInFlight: this.maxInFlight,
+            backlog: this.backlog,
+            maxBacklog: this.maxBacklog,
+            running: { ...this.running },
+            queued,
+            lanes: { high: this.lanes.high.length, normal: this.lanes.normal.length, low: this.lanes.low.length },
+            ...this.counters
+        };
+    }
+}
+
+module.exports = {
+    PRIORITIES,
+    RequestQueue,
+    QueueFullError,
+    QueueTimeoutError
+};
@@ -0,0 +1,133 @@
+/**
+ * Resilience - Circuit breaker and retry policy for work sent to the browser pool
+ *
+ * Every rotation (a session thrown out after a rate limit, exhausted quota, expired auth or a
+ * crash) counts as a failure. Too many in a short window open the breaker: requests then fail
+ * fast with 503 + Retry-After instead of piling onto a browser that is still relaunching.
+ * After the cooldown one request may probe (half-open); success closes the breaker, another
+ * failure reopens it with a doubled cooldown.
+ *
+ * Env:
+ *   BREAKER_THRESHOLD   rotations within the window that open the breaker (default 3)
+ *   BREAKER_WINDOW      window in seconds (default 60)
+ *   BREAKER_COOLDOWN    seconds the breaker stays open (default 30, doubles up to 8x while failing)
+ *   RETRY_BUDGET        retries per action on a fresh session, e.g. "Chat=2,Video=0" (default 1)
+ *   RETRY_BACKOFF       base backoff in ms per action, e.g. "Chat=500,Image=2000" (default 1000)
+ */
+
+const { ApiError } = require('./errors');
+
+const DEFAULT_RETRIES = 1;
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// Parse "Chat=2,Video=0" into { Chat: 2, Video: 0 } (zero is meaningful here)
+function parseCounts(value) {
+    const out = {};
+    for (const pair of (value || '').split(',')) {
+        const [key, num] = pair.split('=').map(s => s && s.trim());
+        if (key && num !== undefined && Number(num) >= 0) out[key] = Number(num);
+    }
+    return out;
+}
+
+const RETRY_BUDGET = parseCounts(process.env.RETRY_BUDGET);
+const RETRY_BACKOFF = parseCounts(process.env.RETRY_BACKOFF);
+
+// { retries, backoff(attempt) } for an action. Backoff is exponential with jitter.
+function retryPolicy(action) {
+    const retries = RETRY_BUDGET[action] ?? RETRY_BUDGET['*'] ?? DEFAULT_RETRIES;
+    const base = RETRY_BACKOFF[action] ?? RETRY_BACKOFF['*'] ?? DEFAULT_BACKOFF_MS;
+    return {
+        retries,
+        backoff: (attempt) => Math.min(MAX_BACKOFF_MS, Math.round(base * 2 ** attempt * (0.5 + Math.random() / 2)))
+    };
+}
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.threshold = options.threshold || Number(process.env.BREAKER_THRESHOLD) || 3;
+        this.windowMs = (options.window || Number(process.env.BREAKER_WINDOW) || 60) * 1000;
+        this.cooldownMs = (options.cooldown || Number(process.env.BREAKER_COOLDOWN) || 30) * 1000;
+
+        this.state = 'closed';    // closed -> open -> half_open -> closed | open
+        this.failures = [];       // timestamps of recent rotations
+        this.openedAt = null;
+        this.openUntil = 0;
+        this.trips = 0;           // consecutive openings, doubles the cooldown
+        this.lastReason = null;
+        this.probing = false;     // a half-open probe is in flight (since probeAt)
+        this.probeAt = 0;
+    }
+
+    // Throws ApiError('circuit_open') while open; lets a single probe through when half-open
+    assertClosed() {
+        if (this.state === 'open' && Date.now() >= this.openUntil) {
+            this.state = 'half_open';
+            this.probing = false;
+            console.log('[Breaker] Half-open: letting a probe request through');
+        }
+        if (this.state === 'closed') return;
+        // A probe that never reported back (it failed before reaching the browser) is replaced
+        if (this.state === 'half_open' && (!this.probing || Date.now() - this.probeAt > this.cooldownMs)) {
+            this.probing = true;
+            this.probeAt = Date.now();
+            return;
+        }
+        throw this.openError();
+    }
+
+    // Open and still cooling down (checked before queueing, does not start a probe)
+    isOpen() {
+        return this.state === 'open' && Date.now() < this.openUntil;
+    }
+
+    openError() {
+        const retryAfter = Math.max(1, Math.ceil((this.openUntil - Date.now()) / 1000));
+        return new ApiError('circuit_open', `Browser is recovering (${this.lastReason || 'repeated failures'}), retry in ${retryAfter}s`, { retryAfter });
+    }
+
+    recordSuccess() {
+        if (this.state === 'closed') return;
+        console.log('[Breaker] Closed: browser is serving again');
+        this.state = 'closed';
+        this.failures = [];
+        this.trips = 0;
+        this.probing = false;
+    }
+
+    recordFailure(reason) {
+        const now = Date.now();
+        this.lastReason = reason || null;
+        this.failures = this.failures.filter(t => now - t < this.windowMs);
+        this.failures.push(now);
+        if (this.state === 'half_open' || (this.state === 'closed' && this.failures.length >= this.threshold)) {
+            this.open(now);
+        }
+    }
+
+    open(now) {
+        const cooldown = this.cooldownMs * Math.min(8, 2 ** this.trips);
+        this.trips++;
+        this.state = 'open';
+        this.openedAt = now;
+        this.openUntil = now + cooldown;
+        this.probing = false;
+        console.warn(`[Breaker] Open for ${cooldown / 1000}s after ${this.failures.length} rotation(s): ${this.lastReason}`);
+    }
+
+    describe() {
+        return {
+            state: this.state,
+            recentFailures: this.failures.filter(t => Date.now() - t < this.windowMs).length,
+            threshold: this.threshold,
+            openUntil: this.state === 'open' ? new Date(this.openUntil).toISOString() : null,
+            lastReason: this.lastReason
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    retryPolicy
+};
@@ -0,0 +1,124 @@
+/**
+ * Search - Options and result parsing for web search through Perplexity's sonar models
+ *
+ * Requests may narrow the search by recency and by domain; both are passed to the provider as
+ * Perplexity's search_recency_filter / search_domain_filter. Domain filters are also applied to
+ * the returned citations, so they hold even when the provider ignores them.
+ *
+ * Results are split into the final answer, the <think> reasoning (reasoning models put it inline)
+ * and a citations array [{ index, url, title, snippet }]. `index` is the number the answer's [n]
+ * markers refer to.
+ */
+
+const { ChatRequestError } = require('./chat-request');
+
+const RECENCY = ['hour', 'day', 'week', 'month', 'year'];
+const MAX_DOMAINS = 20;
+const DOMAIN_PATTERN = /^-?(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+// Provider options for the request body (throws ChatRequestError). Returns { options, domains }.
+function searchOptions({ recency, domains } = {}) {
+    const options = {};
+    if (recency !== undefined && recency !== null) {
+        if (!RECENCY.includes(recency)) throw new ChatRequestError(`recency must be one of ${RECENCY.join(', ')}`, 'recency');
+        options.search_recency_filter = recency;
+    }
+    let list = [];
+    if (domains !== undefined && domains !== null) {
+        list = typeof domains === 'string' ? domains.split(',').map(d => d.trim()).filter(Boolean) : domains;
+        if (!Array.isArray(list) || list.length > MAX_DOMAINS) {
+            throw new ChatRequestError(`domains must be an array of at most ${MAX_DOMAINS} domains`, 'domains');
+        }
+        list.forEach((domain, i) => {
+            if (typeof domain !== 'string' || !DOMAIN_PATTERN.test(domain)) {
+                throw new ChatRequestError('domains entries must be host names like "example.com" (prefix "-" to exclude)', `domains[${i}]`);
+            }
+        });
+        list = list.map(d => d.toLowerCase());
+        if (list.length) options.search_domain_filter = list;
+    }
+    return { options, domains: list };
+}
+
+// Answer and reasoning from the model's text. An unclosed <think> means the answer never came.
+function splitReasoning(text, raw) {
+    const reasoning = [];
+    let answer = String(text || '').replace(/<think>([\s\S]*?)<\/think>/gi, (_, r) => {
+        reasoning.push(r.trim());
+        return '';
+    });
+    const open = answer.search(/<think>/i);
+    if (open !== -1) {
+        reasoning.push(answer.substring(open + 7).trim());
+        answer = answer.substring(0, open);
+    }
+    // Some providers return reasoning next to the content instead
+    const separate = raw?.message?.reasoning_content || raw?.message?.reasoning;
+    if (typeof separate === 'string' && separate.trim()) reasoning.unshift(separate.trim());
+    return { answer: answer.trim(), reasoning: reasoning.filter(Boolean).join('\n\n') || null };
+}
+
+const asArray = (value) => Array.isArray(value) ? value : [];
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Include/exclude as Perplexity does: subdomains match their parent domain
+function domainAllowed(url, domains) {
+    if (!domains.length) return true;
+    const host = hostOf(url);
+    if (!host) return false;
+    const matches = (d) => host === d || host.endsWith('.' + d);
+    const include = domains.filter(d => !d.startsWith('-')).map(d => d.replace(/^www\./, ''));
+    const exclude = domains.filter(d => d.startsWith('-')).map(d => d.substring(1).replace(/^www\./, ''));
+    if (exclude.some(matches)) return false;
+    return include.length === 0 || include.some(matches);
+}
+
+// Citations wherever the provider put them: Perplexity's citations (URL list) and search_results
+// ({ title, url, snippet }), OpenAI-style url_citation annotations, or markdown links as a last resort
+function extractCitations(raw, answer) {
+    const places = [raw, raw?.message, raw?.choices?.[0]?.message].filter(Boolean);
+    const byUrl = new Map();
+    const add = (url, info = {}) => {
+        if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return;
+        const entry = byUrl.get(url) || { index: byUrl.size + 1, url, title: null, snippet: null };
+        entry.title = entry.title || info.title || null;
+        entry.snippet = entry.snippet || info.snippet || info.text || null;
+        byUrl.set(url, entry);
+    };
+
+    // Plain citation lists first: their order is what the [n] markers count
+    for (const place of places) {
+        for (const c of asArray(place.citations)) typeof c === 'string' ? add(c) : add(c?.url, c);
+    }
+    for (const place of places) {
+        for (const r of asArray(place.search_results)) add(r?.url, r);
+        for (const a of asArray(place.annotations)) {
+            const c = a?.url_citation || a;
+            add(c?.url, c);
+        }
+    }
+    if (byUrl.size === 0) {
+        for (const [, title, url] of answer.matchAll(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g)) add(url, { title });
+    }
+    return [...byUrl.values()];
+}
+
+// Structured result: { answer, reasoning?, citations }
+function parseSearchResult(raw, text, { includeReasoning = false, domains = [] } = {}) {
+    const { answer, reasoning } = splitReasoning(text, raw);
+    const citations = extractCitations(raw, answer).filter(c => domainAllowed(c.url, domains));
+    return includeReasoning ? { answer, reasoning, citations } : { answer, citations };
+}
+
+module.exports = {
+    RECENCY,
+    searchOptions,
+    parseSearchResult
+};
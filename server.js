@@ -9,34 +9,94 @@ const express = require('express');
 const cors = require('cors');
 const puppeteerCore = require('puppeteer');
 const path = require('path');
+const os = require('os');
 const { connect } = require('puppeteer-real-browser');
 const fs = require('fs');
-
-// Simple In-Memory Chat Store (Inlined)
-const chatStore = {
-    chats: [],
-    getAllChats: function () { return this.chats; },
-    createChat: function (title, model) {
-        const chat = {
-            id: Date.now().toString(),
-            title: title || 'New Chat',
-            model: model || 'gemini-2.0-flash',
-            createdAt: new Date().toISOString()
-        };
-        this.chats.push(chat);
-        return chat;
-    }
-};
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { ChatRequestError, normalizeChatInput } = require('./chat-request');
+const tools = require('./tools');
+const chatStore = require('./chat-store');
+const apiKeys = require('./api-keys');
+const { requireScope } = apiKeys;
+const { PRIORITIES, RequestQueue } = require('./request-queue');
+const { ApiError, classifyError, pageError, errorBody, sendError } = require('./errors');
+const jobs = require('./jobs');
+const mediaStore = require('./media-store');
+const models = require('./models');
+const { imageUploads, filesAsDataUris, audioUpload, sttUpload, imageUpload, releaseUpload } = require('./uploads');
+const { resolveVoice, listVoices } = require('./voices');
+const transcripts = require('./transcripts');
+const audioFallbacks = require('./audio-fallbacks');
+const { planNarration } = require('./narration');
+const mp3 = require('./mp3');
+const audioWindows = require('./audio-windows');
+const search = require('./search');
+const { planImages } = require('./images');
+const { buildJobInput } = require('./job-input');
+const { CircuitBreaker, retryPolicy } = require('./resilience');
+const { Watchdog } = require('./watchdog');
+const mock = require('./mock');
+const metrics = require('./metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const RENDER_URL = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
 
 // Middleware
+// Env:
+//   TRUST_PROXY   proxies in front of the server whose X-Forwarded-* headers are believed: a hop
+//                 count ('1' on Render, which terminates TLS; needed for correct media URLs),
+//                 'true' for any number, or addresses/subnets (default: none, so clients cannot
+//                 spoof their IP)
+function trustProxySetting(value) {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 app.use(cors());
-app.use(express.json({ limit: '50mb' })); // Increased for image/audio uploads
+app.use(express.json({ limit: '50mb' })); // Base64 files in JSON still work; multipart uploads avoid it
 app.use(express.static(path.join(__dirname, 'public')));
 
+// =====================
+// Metrics (Prometheus, see GET /metrics)
+// =====================
+
+const M = {
+    requests: metrics.registry.counter('puter_http_requests_total', 'HTTP requests by route, model and status', ['method', 'route', 'model', 'status']),
+    requestSeconds: metrics.registry.histogram('puter_http_request_duration_seconds', 'HTTP request latency (streams: until the last byte)', ['method', 'route', 'model']),
+    errors: metrics.registry.counter('puter_http_errors_total', 'Error responses by route and error code (errors.js taxonomy)', ['route', 'code']),
+    actions: metrics.registry.counter('puter_browser_actions_total', 'Browser calls by action and outcome (ok or error code)', ['action', 'outcome']),
+    actionSeconds: metrics.registry.histogram('puter_browser_action_duration_seconds', 'Time a browser call ran on a session, queue wait excluded', ['action']),
+    retries: metrics.registry.counter('puter_browser_retries_total', 'Browser calls retried on a fresh session', ['action']),
+    rotations: metrics.registry.counter('puter_session_rotations_total', 'Sessions rotated out after a failure', ['reason']),
+    recycles: metrics.registry.counter('puter_session_recycles_total', 'Sessions replaced by the watchdog before failing'),
+    launches: metrics.registry.counter('puter_session_launches_total', 'Browser launches by session type and result', ['type', 'result']),
+    initFailures: metrics.registry.counter('puter_session_init_failures_total', 'Failed launch attempts (each launch tries up to 3 times)', ['type']),
+    loginSeconds: metrics.registry.histogram('puter_session_login_wait_seconds', 'Time from page load until Puter login completed', [], [2, 4, 6, 10, 20, 30, 60, 120])
+};
+
+// Label for the model a request asked for: registry ids only, so clients cannot create series
+function metricModel(req) {
+    const requested = req.body?.model || req.query?.model;
+    if (!requested) return 'default';
+    return (typeof requested === 'string' && models.getModel(requested)?.id) || 'unknown';
+}
+
+app.use((req, res, next) => {
+    const end = M.requestSeconds.startTimer();
+    res.on('finish', () => {
+        // Route pattern, not the URL (ids in paths would make a series each)
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const labels = { method: req.method, route, model: metricModel(req) };
+        end(labels);
+        M.requests.inc({ ...labels, status: res.statusCode });
+        if (res.locals.errorCode) M.errors.inc({ route, code: res.locals.errorCode });
+    });
+    next();
+});
+
 // PREVENT CRASHES: Global Error Handlers
 process.on('uncaughtException', (err) => {
     console.error('[CRITICAL] Uncaught Exception:', err);
@@ -47,6 +107,14 @@ process.on('unhandledRejection', (reason, promise) => {
     // Keep running
 });
 
+// Flush pending chat-store writes before the platform stops us
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+        console.log(`[Server] ${signal} received, flushing chat store...`);
+        chatStore.close().catch(() => { }).finally(() => process.exit(0));
+    });
+}
+
 // Keep-alive ping
 const PING_INTERVAL = 90 * 1000;
 function startKeepAlive() {
@@ -74,6 +142,13 @@ class BrowserSession {
         this.createdAt = Date.now();
         this.token = null;
         this.activeRequests = 0; // Reference counting
+        this.requestCount = 0; // Requests served over the session's life (watchdog recycling)
+        this.crashed = null; // Set when the renderer crashes
+        this.cdp = null; // CDP sessions for the watchdog's metrics (page / browser level)
+        this.browserCdp = null;
+        this.boundToken = null; // Puter account token this browser is pinned to (null = shared)
+        this.streamHandlers = new Map(); // streamId -> chunk callback
+        this.streamBridge = false;
     }
 
     async init(existingToken = null) {
@@ -101,7 +176,8 @@ class BrowserSession {
                     '--window-position=-10000,-10000'
                 ];
 
-                const response = await connect({
+                // Mock provider: local stub instead of puter.com (see mock/index.js)
+                const response = mock.enabled ? await mock.launch({ executablePath, args: launchArgs }) : await connect({
                     headless: 'auto',
                     turnstile: true,
                     customConfig: { chromePath: executablePath },
@@ -118,8 +194,13 @@ class BrowserSession {
                 this.page = response.page;
 
                 console.log(`[Session #${this.id}] Browser launched!`);
+                this.page.on('error', (e) => { this.crashed = `page crashed: ${e.message}`; });
 
-                await this.page.goto('https://puter.com', {
+                // Bridge for streamed chunks (survives reloads, so expose once per page)
+                await this.exposeStreamBridge();
+                if (mock.enabled) await mock.attach(this);
+
+                await this.page.goto(mock.enabled ? mock.STUB_URL : 'https://puter.com', {
                     waitUntil: 'domcontentloaded',
                     timeout: 60000
                 });
@@ -130,7 +211,10 @@ class BrowserSession {
                     await this.injectToken(existingToken);
                 }
 
+                const endLogin = M.loginSeconds.startTimer();
                 await this.waitForLogin();
+                endLogin();
+                M.launches.inc({ type: this.type, result: 'ok' });
 
                 // OPTIMIZATION: Block heavy resources AFTER login to save RAM
                 await this.optimizePage();
@@ -140,13 +224,19 @@ class BrowserSession {
 
             } catch (e) {
                 console.error(`[Session #${this.id}] Init Attempt ${attempt}/${maxRetries} Failed: ${e.message}`);
+                M.initFailures.inc({ type: this.type });
 
                 // Cleanup partial
                 if (this.browser) await this.browser.close().catch(() => { });
                 this.browser = null;
                 this.page = null;
+                this.cdp = null;
+                this.browserCdp = null;
+                this.crashed = null;
+                this.streamBridge = false;
 
                 if (attempt === maxRetries) {
+                    M.launches.inc({ type: this.type, result: 'failed' });
                     this.status = 'dead';
                     throw e; // Give up
                 }
@@ -242,16 +332,83 @@ class BrowserSession {
         } catch (e) { return { api: false, token: null }; }
     }
 
+    // Why the browser is beyond saving (null while it is alive)
+    crashReason() {
+        if (this.crashed) return this.crashed;
+        if (!this.browser || !this.browser.isConnected()) return 'browser disconnected';
+        if (!this.page || this.page.isClosed()) return 'page closed';
+        return null;
+    }
+
+    // Memory figures for the watchdog: JS heap and DOM size of the page, and the ids of all
+    // Chrome processes (browser, renderers, GPU...) so their RSS can be read from /proc
+    async metrics() {
+        if (!this.cdp) {
+            this.cdp = await this.page.target().createCDPSession();
+            await this.cdp.send('Performance.enable');
+        }
+        const { metrics } = await this.cdp.send('Performance.getMetrics');
+        const m = Object.fromEntries(metrics.map(({ name, value }) => [name, value]));
+
+        let pids = [];
+        try {
+            if (!this.browserCdp) this.browserCdp = await this.browser.target().createCDPSession();
+            const { processInfo } = await this.browserCdp.send('SystemInfo.getProcessInfo');
+            pids = processInfo.map(p => p.id);
+        } catch (e) {
+            this.browserCdp = null; // Not supported by this Chrome, or the session died
+        }
+        return { jsHeapUsed: m.JSHeapUsedSize, jsHeapTotal: m.JSHeapTotalSize, nodes: m.Nodes, pids };
+    }
+
     async injectHelpers() {
         if (!this.page) return;
         await this.page.evaluate(() => {
             window.puterReady = true;
 
+            // Generated media stays in the page as a Blob; Node pulls it in chunks (see readMedia)
+            // instead of receiving one huge data: URL through page.evaluate.
+            window.__media = window.__media || new Map();
+            window.stashMedia = async (value) => {
+                if (value && ['IMG', 'AUDIO', 'VIDEO'].includes(value.tagName)) value = value.src;
+                // blob: URLs only exist inside this page
+                if (typeof value === 'string' && value.startsWith('blob:')) value = await (await fetch(value)).blob();
+                if (!(value instanceof Blob)) return value; // http(s) URL or data URI, Node handles those
+                const id = `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+                window.__media.set(id, value);
+                return { __media: id, type: value.type, size: value.size };
+            };
+            window.readMediaChunk = async (id, start, end) => {
+                const blob = window.__media.get(id);
+                if (!blob) throw new Error(`Media ${id} is gone`);
+                const dataUrl = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(blob.slice(start, end));
+                });
+                return dataUrl.substring(dataUrl.indexOf(',') + 1);
+            };
+
+            // Uploads travel the other way: Node writes base64 chunks (see uploadFile), wrappers take a Blob
+            window.__uploads = window.__uploads || new Map();
+            window.writeUploadChunk = (id, b64) => {
+                const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+                if (!window.__uploads.has(id)) window.__uploads.set(id, []);
+                window.__uploads.get(id).push(bytes);
+            };
+            window.takeUpload = (value) => {
+                if (!value || !value.__upload) return value; // data URI or URL
+                const parts = window.__uploads.get(value.__upload) || [];
+                window.__uploads.delete(value.__upload);
+                return new Blob(parts, { type: value.type });
+            };
+
             // Chat Wrapper
-            window.doChat = async (prompt, model) => {
+            window.doChat = async (prompt, model, extra) => {
                 try {
                     if (!puter?.ai) return { error: 'Puter AI not ready' };
-                    return await puter.ai.chat(prompt, { model });
+                    return await puter.ai.chat(prompt, { ...(extra || {}), model });
                 } catch (e) {
                     // Create a serializable error report
                     let message = e.message || String(e);
@@ -274,14 +431,57 @@ class BrowserSession {
                 }
             };
 
-            // Image Wrapper (Txt2Img & Img2Img)
-            window.doImage = async (prompt, model, inputImage) => {
+            // Streaming Chat Wrapper (forwards each chunk to Node via the exposed bridge)
+            window.doChatStream = async (prompt, model, extra, streamId) => {
+                try {
+                    if (!puter?.ai) return { error: 'Puter AI not ready' };
+                    const response = await puter.ai.chat(prompt, { ...(extra || {}), model, stream: true });
+                    let full = '';
+                    let last = null;
+                    for await (const part of response) {
+                        last = part;
+                        const text = typeof part === 'string' ? part : (part?.text || '');
+                        if (!text) continue;
+                        full += text;
+                        // Node answers false once the client has gone away
+                        const keepGoing = await window.__puterStreamChunk(streamId, text);
+                        if (keepGoing === false) break;
+                    }
+                    return { text: full, finish_reason: last?.finish_reason || last?.stop_reason || null };
+                } catch (e) {
+                    let message = e.message || String(e);
+                    if (message === "[object Object]") {
+                        try { message = JSON.stringify(e); } catch (e2) { message = "Complex Stream Error Object"; }
+                    }
+                    return { error: { message: message, name: e.name, stack: e.stack } };
+                }
+            };
+
+            // Every image in a txt2img result, whatever its shape: <img>, Blob, URL / data URI string,
+            // { b64_json }, or objects/arrays holding those under the usual keys (OpenAI data[],
+            // Gemini/OpenRouter choices[].message.images[].image_url.url, ...)
+            const IMAGE_KEYS = ['url', 'src', 'b64_json', 'data', 'result', 'image_url', 'image', 'images', 'output', 'choices', 'message', 'content'];
+            window.collectImages = (value, depth = 0) => {
+                if (!value || depth > 6) return [];
+                if (typeof value === 'string') return /^(https?:|blob:|data:image\/)/.test(value) ? [value] : [];
+                if (value instanceof Blob || value instanceof HTMLImageElement || value.tagName === 'IMG') return [value];
+                if (Array.isArray(value)) return value.flatMap(v => window.collectImages(v, depth + 1));
+                if (typeof value !== 'object') return [];
+                if (typeof value.b64_json === 'string') return [`data:image/png;base64,${value.b64_json}`];
+                const found = IMAGE_KEYS.flatMap(key => window.collectImages(value[key], depth + 1));
+                return found.filter((v, i) => typeof v !== 'string' || found.indexOf(v) === i);
+            };
+
+            // Image Wrapper (Txt2Img & Img2Img). `params` are provider options from images.js
+            // (size, quality, seed, negative prompt, n). Returns an array of stashed images.
+            window.doImage = async (prompt, model, inputImage, inputImageType, params) => {
                 try {
                     if (!puter?.ai) throw new Error('Puter AI not ready');
-                    const options = { model }; // Clean options to match Puter's signature
+                    const options = { ...(params || {}), model }; // Clean options to match Puter's signature
 
                     if (inputImage) {
                         options.input_image = inputImage;
+                        if (inputImageType) options.input_image_mime_type = inputImageType;
                     }
 
                     const result = await puter.ai.txt2img(prompt, options);
@@ -290,40 +490,13 @@ class BrowserSession {
                         throw new Error('Puter txt2img returned no result (null/undefined)');
                     }
 
-                    // Robust extraction for various result formats (DOM, Blob, String, JSON)
-                    if (result instanceof HTMLImageElement || result.tagName === 'IMG') {
-                        return result.src;
-                    }
-                    if (typeof result === 'string') return result; // URL or Base64
-                    if (result instanceof Blob) {
-                        return await new Promise(r => {
-                            const reader = new FileReader();
-                            reader.onload = () => r(reader.result);
-                            reader.readAsDataURL(result);
-                        });
-                    }
-                    // Handle Gemini/GPT JSON responses
-                    if (typeof result === 'object') {
-                        // Priority order for extraction
-                        const possibleValues = [
-                            result?.url,
-                            result?.src,
-                            result?.data,
-                            result?.result,
-                            result?.image_url,
-                            result?.image,
-                            result?.choices?.[0]?.image_url,
-                            result?.choices?.[0]?.url,
-                            result?.message,
-                            result?.message?.content
-                        ];
-                        const found = possibleValues.find(v => typeof v === 'string' && v.startsWith('http'));
-                        if (found) return found;
-
+                    const images = window.collectImages(result);
+                    if (!images.length) {
                         console.error('[Puter] Image Extraction Failed. Raw Response:', JSON.stringify(result));
-                        throw new Error(`Extraction failed. Object keys: ${Object.keys(result).join(', ')}. Raw: ${JSON.stringify(result).substring(0, 500)}`);
+                        const keys = typeof result === 'object' ? Object.keys(result).join(', ') : typeof result;
+                        throw new Error(`Extraction failed. Object keys: ${keys}. Raw: ${JSON.stringify(result).substring(0, 500)}`);
                     }
-                    return result;
+                    return await Promise.all(images.map(window.stashMedia));
                 } catch (e) {
                     console.error('[Puter] doImage Error:', e);
                     let message = e.message || String(e);
@@ -335,77 +508,65 @@ class BrowserSession {
             };
 
             // Search Wrapper (Perplexity)
-            window.doSearch = async (prompt) => {
+            window.doSearch = async (prompt, model, options) => {
                 if (!puter?.ai) throw new Error('Puter AI not ready');
-                // Using Sonar Reasoning Pro for advanced search
-                return await puter.ai.chat(prompt, { model: 'sonar-reasoning-pro' });
+                // Sonar Reasoning Pro unless the registry picked another search model.
+                // Options are Perplexity's search filters (see search.js).
+                return await puter.ai.chat(prompt, { ...(options || {}), model: model || 'sonar-reasoning-pro' });
             };
 
-            // Text-to-Speech Wrapper with Fallbacks
-            window.doTTS = async (text, voice, model) => {
-                const tryTTS = async (v, m, p) => {
-                    console.log(`[Puter] TTS Attempt: Voice=${v || 'default'}, Model=${m || 'default'}, Provider=${p || 'default'}`);
-                    const options = {};
-                    if (p) options.provider = p;
-                    if (v) options.voice = v;
-                    if (m) options.model = m;
-
-                    const result = await puter.ai.txt2speech(text, options);
-
-                    if (result && (result instanceof HTMLAudioElement || result.tagName === 'AUDIO')) return result.src;
-                    if (result instanceof Blob) {
-                        return await new Promise(r => {
-                            const reader = new FileReader();
-                            reader.onload = () => r(reader.result);
-                            reader.readAsDataURL(result);
-                        });
-                    }
-                    return result;
-                };
-
-                try {
-                    // 1. Try ElevenLabs with requested params
-                    return await tryTTS(voice, model || 'eleven_multilingual_v2', 'elevenlabs');
-                } catch (e1) {
-                    console.warn(`[Puter] TTS Attempt 1 Failed: ${e1.message}`);
+            // Audio fallback chains: try each { provider, model, voice } step in order (see audio-fallbacks.js).
+            // Returns { media, step, attempts } or { error: { message, attempts } } once every step failed.
+            window.runAudioChain = async (label, steps, call) => {
+                const attempts = [];
+                for (const step of steps) {
+                    console.log(`[Puter] ${label} Attempt: Voice=${step.voice || 'default'}, Model=${step.model || 'default'}, Provider=${step.provider || 'default'}`);
                     try {
-                        // 2. Try ElevenLabs Flash (More stable sometimes)
-                        return await tryTTS(voice, 'eleven_flash_v2_5', 'elevenlabs');
-                    } catch (e2) {
-                        console.warn(`[Puter] TTS Attempt 2 Failed: ${e2.message}`);
-                        try {
-                            // 3. Try ElevenLabs Default Rachel
-                            return await tryTTS('21m00Tcm4TlvDq8ikWAM', 'eleven_multilingual_v2', 'elevenlabs');
-                        } catch (e3) {
-                            console.error(`[Puter] All ElevenLabs attempts failed. Final fallback to Puter default...`);
-                            // 4. Final Fallback to Puter Default
-                            return await tryTTS(null, null, null);
+                        const result = await call(step);
+                        return { media: await window.stashMedia(result), step, attempts };
+                    } catch (e) {
+                        let message = e?.message || String(e);
+                        if (message === "[object Object]") {
+                            try { message = JSON.stringify(e); } catch (e2) { message = `Complex ${label} Error Object`; }
                         }
+                        console.warn(`[Puter] ${label} Attempt Failed: ${message}`);
+                        attempts.push({ ...step, error: message });
                     }
                 }
+                return { error: { message: `All ${label} attempts failed`, attempts } };
+            };
+
+            // Text-to-Speech Wrapper
+            window.doTTS = async (text, steps) => {
+                return await window.runAudioChain('TTS', steps, (step) => {
+                    const options = {};
+                    if (step.provider) options.provider = step.provider;
+                    if (step.voice) options.voice = step.voice;
+                    if (step.model) options.model = step.model;
+                    return puter.ai.txt2speech(text, options);
+                });
             };
 
             // Speech-to-Text Wrapper (Filesystem Approach)
-            window.doSTT = async (audioDataVal) => {
+            window.doSTT = async (audioDataVal, model, mimeType, extension, options) => {
                 try {
                     if (!puter?.ai) throw new Error('Puter AI not ready');
 
-                    // Convert Data URI to Blob
-                    const response = await fetch(audioDataVal);
-                    const originalBlob = await response.blob();
-
-                    // Reconstruct blob with MP3 mime type (spoofing for the backend)
-                    const blob = new Blob([originalBlob], { type: 'audio/mpeg' });
+                    // Uploaded file (Blob) or a Data URI / URL to fetch
+                    const source = window.takeUpload(audioDataVal);
+                    const originalBlob = source instanceof Blob ? source : await (await fetch(source)).blob();
 
-                    // Generate temp filename with .mp3 extension
-                    const filename = `~/temp_voice_${Date.now()}.mp3`;
+                    // Keep the real type; the backend picks the decoder from the file extension.
+                    // Unknown sources fall back to the old MP3 naming.
+                    const blob = new Blob([originalBlob], { type: mimeType || originalBlob.type || 'audio/mpeg' });
+                    const filename = `~/temp_voice_${Date.now()}.${extension || 'mp3'}`;
 
                     // Write to Puter FS
                     await puter.fs.write(filename, blob);
 
                     try {
-                        // Transcribe using whisper-1 (best for varied audio formats)
-                        const transcription = await puter.ai.speech2txt(filename, { model: 'whisper-1' });
+                        // Transcribe using whisper-1 by default (best for varied audio formats)
+                        const transcription = await puter.ai.speech2txt(filename, { ...(options || {}), model: model || 'whisper-1' });
 
                         // Delete temp file
                         await puter.fs.delete(filename).catch(() => { });
@@ -422,31 +583,15 @@ class BrowserSession {
             };
 
             // Voice Conversion Wrapper (Speech-to-Speech)
-            window.doS2S = async (audioDataVal, voice) => {
-                const tryS2S = async (v, m) => {
-                    console.log(`[Puter] S2S Attempt: Voice=${v}, Model=${m}`);
-                    const result = await puter.ai.speech2speech(audioDataVal, {
-                        provider: 'elevenlabs',
-                        voice: v || '21m00Tcm4TlvDq8ikWAM',
-                        model: m || 'eleven_multilingual_sts_v2'
-                    });
-                    if (result instanceof Blob) {
-                        return await new Promise(r => {
-                            const reader = new FileReader();
-                            reader.onload = () => r(reader.result);
-                            reader.readAsDataURL(result);
-                        });
-                    }
-                    return result;
-                };
-
-                try {
-                    return await tryS2S(voice, 'eleven_multilingual_sts_v2');
-                } catch (e) {
-                    console.warn(`[Puter] S2S Failed, trying Rachel fallback...`);
-                    return await tryS2S('21m00Tcm4TlvDq8ikWAM', 'eleven_multilingual_sts_v2');
-                }
+            window.doS2S = async (audioDataVal, steps) => {
+                const source = window.takeUpload(audioDataVal);
+                return await window.runAudioChain('S2S', steps, (step) => {
+                    const options = { provider: step.provider || 'elevenlabs', voice: step.voice };
+                    if (step.model) options.model = step.model;
+                    return puter.ai.speech2speech(source, options);
+                });
             };
+
             // Video Wrapper (Txt2Vid)
             window.doVideo = async (prompt, model) => {
                 try {
@@ -457,11 +602,7 @@ class BrowserSession {
                     };
                     const result = await puter.ai.txt2vid(prompt, options);
 
-                    if (result && (result instanceof HTMLVideoElement || result.tagName === 'VIDEO')) {
-                        return result.src;
-                    }
-                    if (typeof result === 'string') return result;
-                    return result;
+                    return await window.stashMedia(result);
                 } catch (e) {
                     throw new Error(e.message || JSON.stringify(e));
                 }
@@ -469,6 +610,82 @@ class BrowserSession {
         });
     }
 
+    async exposeStreamBridge() {
+        if (!this.page || this.streamBridge) return;
+        try {
+            await this.page.exposeFunction('__puterStreamChunk', (streamId, chunk) => {
+                const handler = this.streamHandlers.get(streamId);
+                if (!handler) return false;
+                return handler(chunk) !== false;
+            });
+            this.streamBridge = true;
+        } catch (e) {
+            console.warn(`[Session #${this.id}] Stream bridge warning: ${e.message}`);
+        }
+    }
+
+    // Run doChatStream, calling onChunk(text) for every piece as it arrives
+    async chatStream(input, model, extra, onChunk) {
+        await this.exposeStreamBridge();
+        const streamId = crypto.randomUUID();
+        this.streamHandlers.set(streamId, onChunk);
+        try {
+            return await this.page.evaluate(async (p, m, x, id) => window.doChatStream(p, m, x, id),
+                input, model, extra, streamId);
+        } finally {
+            this.streamHandlers.delete(streamId);
+        }
+    }
+
+    // page.evaluate for the window.doX wrappers. What they throw is the provider's failure
+    // (upstream_error unless the message says more); a dead page still classifies as browser_crashed.
+    async evaluate(fn, ...args) {
+        try {
+            return await this.page.evaluate(fn, ...args);
+        } catch (e) {
+            throw pageError(e);
+        }
+    }
+
+    // Move a doImage/doTTS/doS2S/doVideo result into the media store.
+    // Page Blobs are pulled in 512KB slices so no full copy ever sits in a single CDP message.
+    async storeMedia(value) {
+        if (!value || !value.__media) {
+            // Missing results and failed downloads are the provider's
+            return await mediaStore.saveFromSource(value).catch(e => { throw pageError(e); });
+        }
+
+        const { __media: id, type, size } = value;
+        const page = this.page;
+        const CHUNK = 512 * 1024;
+        async function* chunks() {
+            for (let start = 0; start < size; start += CHUNK) {
+                const b64 = await page.evaluate((i, s, e) => window.readMediaChunk(i, s, e), id, start, Math.min(start + CHUNK, size));
+                yield Buffer.from(b64, 'base64');
+            }
+        }
+
+        try {
+            return await mediaStore.saveStream(Readable.from(chunks()), type);
+        } finally {
+            await page.evaluate((i) => window.__media.delete(i), id).catch(() => { });
+        }
+    }
+
+    // Push a local file (or a Buffer) into the page in 512KB chunks. The returned handle goes to a
+    // page wrapper in place of a data URI; the wrapper rebuilds the Blob with takeUpload.
+    async uploadFile(source, mimeType) {
+        const id = `u${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        const CHUNK = 512 * 1024;
+        const chunks = Buffer.isBuffer(source)
+            ? Array.from({ length: Math.ceil(source.length / CHUNK) }, (_, i) => source.subarray(i * CHUNK, (i + 1) * CHUNK))
+            : fs.createReadStream(source, { highWaterMark: CHUNK });
+        for await (const chunk of chunks) {
+            await this.page.evaluate((i, b64) => window.writeUploadChunk(i, b64), id, chunk.toString('base64'));
+        }
+        return { __upload: id, type: mimeType };
+    }
+
     async close() {
         this.status = 'dead';
         this.isReady = false;
@@ -496,25 +713,20 @@ class BrowserSession {
 // ... (rest of SessionPool)
 
 // 6. Video (New)
-app.post('/api/video/generate', async (req, res) => {
+app.post('/api/video/generate', requireScope('video'), async (req, res) => {
     try {
-        const { prompt, model } = req.body;
-        console.log(`[Video] Generating: "${prompt}"`);
-
-        // Timeout is tricky here as video takes long. 
-        // We might need to rely on the client setting a long timeout.
-        const result = await safeExecute('Video', async (session) => {
-            return await session.page.evaluate(async (p, m) => window.doVideo(p, m),
-                prompt,
-                model || 'sora-2' // Reverted to Sora-2
-            );
-        });
+        const { prompt } = req.body;
+        // Video takes minutes: { async: true } returns a job id to poll instead of holding the request
+        if (req.body.async) return submitJob(req, res, 'video', await buildJobInput('video', req));
+        const model = models.resolveModel(req.body.model, 'video');
+        console.log(`[Video] Generating: "${prompt}" (Model: ${model})`);
 
-        res.json({ url: result });
+        const media = await runVideo({ prompt, model }, jobOptions(req));
+        if (wantsBase64(req)) return res.json(await base64Payload(media));
+        res.json({ url: mediaUrl(req, media.id), mimeType: media.mimeType, size: media.size });
 
     } catch (e) {
-        console.error('[Video] Error:', e);
-        res.status(500).json({ error: e.message });
+        sendError(res, e, 'Video');
     }
 });
 
@@ -522,133 +734,788 @@ app.post('/api/video/generate', async (req, res) => {
 // Session Pool (Manager)
 // =====================
 
+// Env:
+//   POOL_SIZE        active browsers serving requests (default 1, each needs ~300MB)
+//   POOL_STANDBY     warm standby browsers promoted when an active one fails (default 0)
+//   POOL_STRATEGY    'least-busy' (default) or 'round-robin'
+//   PUTER_TOKENS     comma-separated Puter tokens, one account per browser (optional)
+//   POOL_COOLDOWN    seconds a rate-limited token rests before it is reused (default 300)
+//   POOL_DRAIN       seconds a rotated-out browser may finish in-flight requests before it is killed (default 60)
+//   POOL_WAIT        seconds a request waits for a ready session while the pool relaunches (default 30)
+//   Retry budget/backoff and the circuit breaker are configured in resilience.js
+
 class SessionPool {
-    constructor() {
-        this.primary = null;
+    constructor(options = {}) {
+        this.size = options.size || Number(process.env.POOL_SIZE) || 1;
+        this.standbyTarget = options.standby ?? (Number(process.env.POOL_STANDBY) || 0);
+        this.strategy = options.strategy || process.env.POOL_STRATEGY || 'least-busy';
+        this.tokens = (options.tokens || process.env.PUTER_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean);
+        this.cooldownMs = (Number(process.env.POOL_COOLDOWN) || 300) * 1000;
+        this.drainMs = (Number(process.env.POOL_DRAIN) || 60) * 1000;
+        this.waitMs = (Number(process.env.POOL_WAIT) || 30) * 1000;
+        this.breaker = options.breaker || new CircuitBreaker();
+        this.watchdog = new Watchdog(this);
+
+        this.sessions = [];       // Active sessions (type 'primary')
+        this.standby = [];        // Warm sessions waiting for promotion
+        this.retiring = new Set(); // Rotated out, finishing their in-flight requests
         this.sessionCounter = 0;
-        this.tokenCache = null;
+        this.tokenCache = null;   // Shared guest/user token for sessions without their own account
+        this.tokenCooldown = new Map(); // token -> timestamp when it may be used again
+        this.rrIndex = 0;
+        this.refillTimer = null;
         // init() is called explicitly during app.listen
     }
 
+    // First active session (kept for the single-browser callers: health, debug, exports)
+    get primary() {
+        return this.sessions[0] || null;
+    }
+
     async init() {
-        console.log('[Pool] Initializing Single-Browser System...');
-        this.primary = await this.createSession('primary');
+        console.log(`[Pool] Initializing ${this.size} browser(s) + ${this.standbyTarget} standby (${this.strategy}, ${this.tokens.length} account token(s))...`);
+        this.ensureCapacity();
+        this.watchdog.start();
     }
 
-    async createSession(type) {
+    // Next account token that is neither in use nor cooling down (null = shared token)
+    pickToken() {
+        const now = Date.now();
+        const inUse = new Set([...this.sessions, ...this.standby].map(s => s.boundToken).filter(Boolean));
+        return this.tokens.find(t => !inUse.has(t) && (this.tokenCooldown.get(t) || 0) <= now) || null;
+    }
+
+    // Construct and start launching a session (returns immediately, init runs in the background)
+    createSession(type) {
         this.sessionCounter++;
         const s = new BrowserSession(this.sessionCounter, type);
+        s.boundToken = this.pickToken();
 
-        // Init with cached token if available
-        s.init(this.tokenCache).then(() => {
-            if (s.token) {
+        // Init with the account token, or the cached shared token if available
+        s.init(s.boundToken || this.tokenCache).then(() => {
+            if (s.token && !s.boundToken) {
                 console.log(`[Pool] Captured token from Session #${s.id}`);
                 this.updateToken(s.token);
             }
         }).catch(() => {
-            console.error(`[Pool] Session #${s.id} failed to launch. Retrying...`);
-            // Simple retry logic could be added here
+            console.error(`[Pool] Session #${s.id} failed to launch. Retrying in 30s...`);
+            this.remove(s);
+            this.scheduleRefill(30000);
         });
 
         return s;
     }
 
+    remove(session) {
+        this.sessions = this.sessions.filter(s => s !== session);
+        this.standby = this.standby.filter(s => s !== session);
+    }
+
+    scheduleRefill(delay) {
+        if (this.refillTimer) return;
+        this.refillTimer = setTimeout(() => {
+            this.refillTimer = null;
+            this.ensureCapacity();
+        }, delay);
+    }
+
+    // Top up active slots (promoting ready standbys first) and the standby reserve
+    ensureCapacity() {
+        while (this.sessions.length < this.size) {
+            const ready = this.standby.find(s => s.isReady);
+            if (ready) {
+                this.standby = this.standby.filter(s => s !== ready);
+                ready.type = 'primary';
+                console.log(`[Pool] Promoted standby Session #${ready.id}`);
+                this.sessions.push(ready);
+            } else {
+                this.sessions.push(this.createSession('primary'));
+            }
+        }
+        while (this.standby.length < this.standbyTarget) {
+            this.standby.push(this.createSession('standby'));
+        }
+    }
+
     updateToken(token) {
         if (!token || token === this.tokenCache) return;
         this.tokenCache = token;
 
-        // Sync to primary if alive
-        if (this.primary && this.primary.isReady && this.primary.token !== token) {
-            this.primary.injectToken(token);
+        // Sync to every live session that is not bound to its own account
+        for (const s of [...this.sessions, ...this.standby]) {
+            if (s.isReady && !s.boundToken && s.token !== token) s.injectToken(token);
         }
     }
 
-    async getSession() {
-        if (this.primary && this.primary.isReady) return this.primary;
-        throw new Error('Active session unavailable. System is initializing.');
+    // Sessions currently able to take work
+    healthy() {
+        return this.sessions.filter(s => s.isReady && s.status === 'ready');
     }
 
-    async forceRotate() {
-        console.warn('[Pool] ⚠️ FORCE ROTATION TRIGGERED (Limit/Error) ⚠️');
-        console.error('[Pool] Restarting Primary Browser...');
-        if (this.primary) await this.primary.close();
-        this.primary = await this.createSession('primary');
+    getSession() {
+        const candidates = this.healthy();
+        if (candidates.length === 0) throw new ApiError('unavailable', 'Active session unavailable. System is initializing.');
 
-        // Wait for it to be ready or timeout
-        let count = 0;
-        while (!this.primary.isReady && count < 30) {
-            await new Promise(r => setTimeout(r, 2000));
-            count++;
+        if (this.strategy === 'round-robin') {
+            return candidates[this.rrIndex++ % candidates.length];
+        }
+        // least-busy: fewest in-flight requests, round-robin among ties
+        const min = Math.min(...candidates.map(s => s.activeRequests));
+        const idle = candidates.filter(s => s.activeRequests === min);
+        return idle[this.rrIndex++ % idle.length];
+    }
+
+    // A ready session, waiting up to POOL_WAIT while a replacement launches.
+    // Gives up early when the breaker opens in the meantime.
+    async waitForSession() {
+        const deadline = Date.now() + this.waitMs;
+        while (this.healthy().length === 0) {
+            if (this.breaker.isOpen()) throw this.breaker.openError();
+            if (Date.now() >= deadline) {
+                throw new ApiError('unavailable', `No browser session became ready within ${this.waitMs / 1000}s`);
+            }
+            await new Promise(r => setTimeout(r, 500));
+        }
+        return this.getSession();
+    }
+
+    // Take a failing session out of rotation and start its replacement. Single-flight: the first
+    // failure rotates, concurrent failures of the same session find it gone and share the relaunch.
+    forceRotate(failed, error = null) {
+        if (!failed || !(this.sessions.includes(failed) || this.standby.includes(failed))) return false;
+        const code = error?.code || 'unknown';
+        console.warn(`[Pool] ⚠️ ROTATING Session #${failed.id} (${code}) ⚠️`);
+        M.rotations.inc({ reason: code });
+        this.remove(failed);
+
+        // A rate-limited account rests before it gets another browser
+        if (failed.boundToken && (code === 'rate_limited' || code === 'quota_exhausted')) {
+            this.tokenCooldown.set(failed.boundToken, Date.now() + this.cooldownMs);
         }
+        // A crashed browser has nothing left to finish
+        this.retire(failed, code === 'browser_crashed');
+        this.breaker.recordFailure(`${code} in Session #${failed.id}`);
+        this.ensureCapacity();
+        return true;
+    }
+
+    // Planned replacement (watchdog thresholds): like a rotation, but not a failure for the breaker
+    recycle(session, reason) {
+        if (!this.sessions.includes(session) && !this.standby.includes(session)) return false;
+        console.log(`[Pool] ♻️ Recycling Session #${session.id} (${reason})`);
+        M.recycles.inc();
+        this.remove(session);
+        this.retire(session);
+        this.ensureCapacity();
+        return true;
+    }
+
+    // Close a session once its in-flight requests are done (or after POOL_DRAIN at the latest)
+    retire(session, immediate = false) {
+        session.isReady = false;
+        if (immediate || session.activeRequests <= 0) {
+            session.close();
+            return;
+        }
+        console.log(`[Pool] Session #${session.id} retiring, draining ${session.activeRequests} request(s)...`);
+        session.status = 'retiring';
+        this.retiring.add(session);
+        session.drainTimer = setTimeout(() => {
+            console.warn(`[Pool] Session #${session.id} still has ${session.activeRequests} request(s) after ${this.drainMs / 1000}s, closing`);
+            this.retiring.delete(session);
+            session.close();
+        }, this.drainMs);
+    }
 
-        return this.primary;
+    // Called when a request on `session` finishes: the last one out closes a retiring browser
+    release(session) {
+        session.activeRequests--;
+        if (session.status === 'retiring' && session.activeRequests <= 0) {
+            clearTimeout(session.drainTimer);
+            this.retiring.delete(session);
+            console.log(`[Pool] Session #${session.id} drained`);
+            session.close();
+        }
+    }
+
+    describe() {
+        const info = (s) => ({
+            id: s.id,
+            type: s.type,
+            status: s.status,
+            ready: s.isReady,
+            active: s.activeRequests,
+            account: s.boundToken ? `${s.boundToken.substring(0, 6)}…` : 'shared',
+            uptime: Math.round((Date.now() - s.createdAt) / 1000)
+        });
+        return {
+            strategy: this.strategy,
+            size: this.size,
+            sessions: this.sessions.map(info),
+            standby: this.standby.map(info),
+            retiring: [...this.retiring].map(info),
+            breaker: this.breaker.describe()
+        };
     }
 }
 
 const pool = new SessionPool();
+const requestQueue = new RequestQueue();
 
 // =====================
 // Helper: Execute with Failover
 // =====================
 
-async function safeExecute(actionName, fn) {
-    let session = null;
-    try {
-        session = await pool.getSession();
+// Every browser call waits for a slot in the request queue first
+function safeExecute(actionName, fn, options = {}) {
+    // No point queueing behind a browser that is known to be down
+    if (pool.breaker.isOpen()) return Promise.reject(pool.breaker.openError());
+    return requestQueue.run(actionName, () => executeOnSession(actionName, fn), options);
+}
+
+// Queue options for a request. X-Priority: high is reserved for admin keys.
+function jobOptions(req) {
+    let priority = String(req.get('x-priority') || 'normal').toLowerCase();
+    if (!PRIORITIES.includes(priority)) priority = 'normal';
+    if (priority === 'high' && req.apiKey && !req.apiKey.scopes.includes('admin')) priority = 'normal';
+    return { priority };
+}
+
+// Reject a request with one of the errors.js codes
+function fail(res, code, message, param = null) {
+    return sendError(res, new ApiError(code, message, { param }));
+}
+
+// Run `fn` on a ready session. Failures that call for a fresh session (rate limits, exhausted
+// quota, expired auth, dead browsers) rotate it out and retry within the action's budget.
+async function executeOnSession(actionName, fn) {
+    const policy = retryPolicy(actionName);
+    for (let attempt = 0; ; attempt++) {
+        pool.breaker.assertClosed();
+        const session = await pool.waitForSession();
 
         // LOCK SESSION
         session.activeRequests++;
+        session.requestCount++;
+        const endAction = M.actionSeconds.startTimer({ action: actionName });
+        let error;
+        try {
+            // Ensure injection before run
+            await session.injectHelpers();
+            const result = await fn(session);
+            pool.breaker.recordSuccess();
+            M.actions.inc({ action: actionName, outcome: 'ok' });
+
+            // AGGRESSIVE GC: Clear Node RAM
+            if (global.gc) {
+                global.gc();
+            }
 
-        // Ensure injection before run
-        await session.injectHelpers();
-        const result = await fn(session);
+            return result;
 
-        // UNLOCK SESSION
-        session.activeRequests--;
-        if (session.status === 'retiring' && session.activeRequests <= 0) {
-            session.close();
+        } catch (e) {
+            error = classifyError(e);
+            M.actions.inc({ action: actionName, outcome: error.code });
+            if (!error.rotate) {
+                pool.breaker.recordSuccess(); // The browser answered, the request itself failed
+                throw error;
+            }
+            console.warn(`[${actionName}] ${error.code} in Session #${session.id}: ${error.message}`);
+
+            // Rotate (only this session, the others keep serving)
+            pool.forceRotate(session, error);
+        } finally {
+            endAction();
+            // UNLOCK SESSION (a retiring browser closes once its last request is done)
+            pool.release(session);
+        }
+
+        if (attempt >= policy.retries) throw error;
+        const delay = policy.backoff(attempt);
+        console.log(`[${actionName}] Retry ${attempt + 1}/${policy.retries} in ${delay}ms...`);
+        M.retries.inc({ action: actionName });
+        await new Promise(r => setTimeout(r, delay));
+    }
+}
+
+// =====================
+// Generation Runners (shared by the sync routes and async jobs)
+// =====================
+
+// Each runner resolves to a stored media record ({ id, mimeType, size }).
+// Models arrive already resolved through the registry (see models.js).
+
+function runVideo({ prompt, model }, options) {
+    return safeExecute('Video', async (session) => {
+        const result = await session.evaluate(async (p, m) => window.doVideo(p, m), prompt, model);
+        return await session.storeMedia(result);
+    }, options);
+}
+
+// The calls of images.planImages() run in parallel, each through the queue. Resolves to
+// { images: [media], errors: [message] }; fails only when no call produced an image.
+async function runImages({ model, input_image, input_image_type, calls }, options) {
+    const settled = await Promise.allSettled(calls.map(({ prompt, params, count }) => safeExecute('Image', async (session) => {
+        const result = await session.evaluate(async (p, m, i, t, o) => window.doImage(p, m, i, t, o),
+            prompt,
+            model,
+            input_image, // Optional Base64
+            input_image_type || null,
+            params
+        );
+
+        if (result && result.error) throw pageError(result.error);
+        // Keep as many as this call was meant to produce, drop the rest from the page
+        const extra = result.slice(count).filter(r => r && r.__media).map(r => r.__media);
+        if (extra.length) await session.page.evaluate((ids) => ids.forEach(i => window.__media.delete(i)), extra).catch(() => { });
+        const media = [];
+        for (const item of result.slice(0, count)) media.push(await session.storeMedia(item));
+        return media;
+    }, options)));
+
+    const images = settled.filter(s => s.status === 'fulfilled').flatMap(s => s.value);
+    const failures = settled.filter(s => s.status === 'rejected').map(s => s.reason);
+    if (!images.length) throw failures[0];
+    if (failures.length) console.warn(`[Image] ${failures.length} of ${calls.length} calls failed: ${failures[0].message}`);
+    return { images, errors: failures.map(e => e.message || String(e)) };
+}
+
+// One image (jobs). Accepts the same parameters as the routes except n.
+async function runImage({ model, input_image, input_image_type, ...params }, options) {
+    const { calls } = planImages({ ...params, n: 1 }, model);
+    const { images: [media] } = await runImages({ model, input_image, input_image_type, calls }, options);
+    return media;
+}
+
+// `upload` ({ path | buffer, mimeType }) is a multipart file on disk or a window cut from one,
+// used instead of `audio`. `sttOptions` go to puter.ai.speech2txt (see transcripts.transcriptionOptions).
+function runSTT({ audio, upload, model, sttOptions }, options) {
+    const mimeType = upload ? upload.mimeType : dataUriType(audio);
+    return safeExecute('STT', async (session) => {
+        const source = upload ? await session.uploadFile(upload.buffer || upload.path, mimeType) : audio;
+        return await session.evaluate(async (a, m, t, x, o) => window.doSTT(a, m, t, x, o),
+            source, model, mimeType, sttExtension(mimeType), sttOptions || {});
+    }, options);
+}
+
+// Transcription of any length, as a normalized transcript. Recordings over the provider limit are
+// cut into overlapping windows (audio-windows.js), transcribed one after another and merged.
+async function transcribe({ audio, upload, model, sttOptions, task, language, param = 'audio' }, options) {
+    const normalize = (raw) => transcripts.normalizeTranscript(raw, { task, language });
+    const isDataUri = typeof audio === 'string' && audio.startsWith('data:');
+    const size = upload ? (await fs.promises.stat(upload.path)).size
+        : isDataUri ? Math.floor((audio.length - audio.indexOf(',') - 1) * 3 / 4) : 0;
+    if (size <= audioWindows.MAX_BYTES) {
+        return normalize(await runSTT({ audio, upload, model, sttOptions }, options));
+    }
+
+    // Uploads are windowed from disk, one window in memory at a time
+    const mimeType = upload ? upload.mimeType : dataUriType(audio);
+    const source = upload ? await audioWindows.fileSource(upload.path)
+        : audioWindows.bufferSource(Buffer.from(audio.substring(audio.indexOf(',') + 1), 'base64'));
+    try {
+        const windows = await audioWindows.splitAudio(source, mimeType);
+        const mb = (n) => (n / 1024 / 1024).toFixed(1);
+        if (!windows) {
+            throw new ChatRequestError(`${param} is ${mb(size)} MB, over the provider limit of ${mb(audioWindows.MAX_BYTES)} MB; only ${audioWindows.SPLITTABLE.join(', ')} recordings can be split`, param, 413);
         }
+        console.log(`[STT] Splitting ${mb(size)} MB ${mimeType} into ${windows.length} windows`);
 
-        // AGGRESSIVE GC: Clear Node RAM
-        if (global.gc) {
-            global.gc();
+        const parts = [];
+        for (const win of windows) {
+            const buffer = await audioWindows.readWindow(source, win);
+            const raw = await runSTT({ upload: { buffer, mimeType }, model, sttOptions }, options);
+            parts.push({ transcript: normalize(raw), timed: Array.isArray(raw?.segments) });
         }
+        return audioWindows.mergeTranscripts(parts, windows);
+    } finally {
+        await source.close();
+    }
+}
 
-        return result;
+function runTTS({ text, voice, model, chain }, options) {
+    const steps = chain || audioFallbacks.resolveChain('tts', { model, voice });
+    return safeExecute('TTS', async (session) => {
+        const result = await session.evaluate(async (t, s) => window.doTTS(t, s), text, steps);
+        return await storeChainResult(session, 'TTS', steps, result);
+    }, options);
+}
 
-    } catch (e) {
-        // UNLOCK ON ERROR
-        if (session) {
-            session.activeRequests--;
-            if (session.status === 'retiring' && session.activeRequests <= 0) {
-                session.close();
+// `upload` ({ path, mimeType }) is a multipart file on disk, used instead of `audio`.
+// `chain` comes from audioFallbacks.resolveChain (jobs submitted as plain JSON get the default).
+function runS2S({ audio, upload, voice, model, chain }, options) {
+    const steps = chain || audioFallbacks.resolveChain('s2s', { model, voice });
+    return safeExecute('S2S', async (session) => {
+        const source = upload ? await session.uploadFile(upload.path, upload.mimeType) : audio;
+        const result = await session.evaluate(async (a, s) => window.doS2S(a, s), source, steps);
+        return await storeChainResult(session, 'S2S', steps, result);
+    }, options);
+}
+
+// Long-form TTS: the chunks of planNarration() are synthesized one by one through the queue and
+// stitched into one MP3 with silence for the pauses. After the first chunk the chain is pinned to
+// the step that produced it, so a fallback cannot switch voices halfway through.
+async function runNarration({ text, voice, model, chain, pause_ms }, options, job) {
+    const plan = planNarration(text, { paragraphPauseMs: pause_ms || 0 });
+    const total = plan.filter(item => item.type === 'text').length;
+    let steps = chain || audioFallbacks.resolveChain('tts', { model, voice });
+    let firstReport = null;
+    const attempts = [];
+    const parts = [];
+
+    try {
+        for (const item of plan) {
+            if (item.type === 'pause') {
+                parts.push(item);
+                continue;
             }
+            const media = await runTTS({ text: item.text, chain: steps }, options);
+            // Private copy: store entries are content-addressed and may be shared with other requests
+            const file = path.join(os.tmpdir(), `narration-${crypto.randomUUID()}.mp3`);
+            await fs.promises.copyFile(mediaStore.getMedia(media.id).path, file);
+            parts.push({ file });
+            if (media.mimeType !== 'audio/mpeg') {
+                throw new ApiError('upstream_error', `Long-form TTS needs MP3 chunks, the provider returned ${media.mimeType}`);
+            }
+            attempts.push(...media.report.attempts);
+            if (!firstReport) {
+                firstReport = media.report;
+                steps = [media.report.producedBy];
+            }
+            const done = parts.filter(p => p.file).length;
+            job?.progress(0.1 + 0.8 * done / total, `synthesizing ${done}/${total}`);
         }
 
-        const errStr = e.toString().toLowerCase();
-        // If limit reached or generic browser error
-        if (errStr.includes('limit') || errStr.includes('quota') || errStr.includes('429') || errStr.includes('navigat') || errStr.includes('protocol')) {
-            console.warn(`[${actionName}] Failure in Session #${session?.id}: ${e.message}`);
+        job?.progress(0.9, 'stitching');
+        const stored = await mediaStore.saveStream(Readable.from(stitchMp3(parts)), 'audio/mpeg');
+        console.log(`[TTS] Narration stitched: ${total} chunk(s), ${text.length} chars, ${stored.size} bytes`);
+        return { ...stored, report: { ...firstReport, fallback: attempts.length > 0, attempts, chunks: total, characters: text.length } };
+    } finally {
+        for (const part of parts) {
+            if (part.file) await fs.promises.unlink(part.file).catch(() => { });
+        }
+    }
+}
 
-            // Rotate
-            const newSession = await pool.forceRotate();
-            console.log(`[${actionName}] Retrying with Session #${newSession.id}...`);
+// Audio frames of each chunk (tags and VBR headers removed) with silent frames for pauses
+async function* stitchMp3(parts) {
+    let format = null;
+    for (const part of parts) {
+        if (part.type === 'pause') {
+            yield mp3.silence(part.ms, format || mp3.DEFAULT_FORMAT);
+            continue;
+        }
+        const stripped = mp3.stripAudio(await fs.promises.readFile(part.file));
+        format = format || stripped.format;
+        yield stripped.data;
+    }
+}
 
-            // EXECUTE ON NEW SESSION (Be careful not to infinitely recurse without limits, but safeExecute calls normally bubble up)
-            // Manual retry logic here to properly lock the NEW session
-            newSession.activeRequests++;
-            try {
-                await newSession.injectHelpers();
-                const res = await fn(newSession);
-                newSession.activeRequests--;
-                return res;
-            } catch (retryE) {
-                newSession.activeRequests--;
-                throw retryE;
+// Store the audio a fallback chain produced. The record carries a `report` (producing
+// provider/model/voice, failed attempts). If every step failed, the error is classified by the
+// last attempt and lists all of them.
+async function storeChainResult(session, label, chain, result) {
+    if (result?.error) {
+        const { attempts } = result.error;
+        const err = pageError(attempts[attempts.length - 1]?.error || result.error);
+        err.message = `${result.error.message}: ${attempts.map(a => a.error).join(' | ')}`;
+        err.details = { attempts };
+        throw err;
+    }
+    const report = audioFallbacks.describeOutcome(chain, result.step, result.attempts);
+    if (report.fallback) {
+        const used = report.producedBy;
+        console.warn(`[${label}] Fallback used: ${used.provider || 'puter'}/${used.model || 'default'}/${used.voice || 'default'} after ${report.attempts.length} failed attempt(s)`);
+    }
+    return { ...await session.storeMedia(result.media), report };
+}
+
+// Sniffed type of a base64 data URI (null for URLs and unknown content)
+function dataUriType(value) {
+    const match = typeof value === 'string' && value.match(/^data:[^,]*;base64,(.{0,64})/s);
+    return match ? mediaStore.sniffMimeType(Buffer.from(match[1], 'base64')) : null;
+}
+
+// File extension the transcription backend understands for a type (WebM is not ".weba" there)
+function sttExtension(mimeType) {
+    if (!mimeType) return null;
+    return mimeType.endsWith('/webm') ? 'webm' : mediaStore.extensionFor(mimeType);
+}
+
+function mediaUrl(req, id) {
+    return `${req.protocol}://${req.get('host')}/media/${id}`;
+}
+
+// Opt-in base64 body for clients that cannot fetch URLs (response_format: "b64_json")
+function wantsBase64(req) {
+    return req.body?.response_format === 'b64_json';
+}
+
+async function base64Payload(media) {
+    const buffer = await fs.promises.readFile(mediaStore.getMedia(media.id).path);
+    return { b64_json: buffer.toString('base64'), mimeType: media.mimeType };
+}
+
+// =====================
+// Helper: Response Normalization
+// =====================
+
+// Extract text from content (string or array of parts)
+function extractContent(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        // Try to finding 'text' in any item, or join everything
+        return content.map(c => {
+            if (typeof c === 'string') return c;
+            if (c.type === 'tool_use') return ''; // Surfaced separately as tool_calls
+            return c.text || c.content || JSON.stringify(c);
+        }).join('');
+    }
+    return JSON.stringify(content);
+}
+
+// Flatten any Puter chat result into plain text (Robust Parsing)
+function normalizeResponse(res) {
+    if (!res) return '';
+    if (typeof res === 'string') return res;
+
+    // Standard message structures
+    if (res.message) {
+        if (res.message.content) return extractContent(res.message.content);
+        if (res.message.text) return res.message.text;
+        if (typeof res.message === 'string') return res.message;
+        if (res.message.tool_calls) return ''; // Tool call turn without text (content: null)
+    }
+
+    // OpenAI / Choices structure
+    if (res.choices && res.choices[0]) {
+        const choice = res.choices[0];
+        if (choice.message) return extractContent(choice.message.content);
+        if (choice.text) return choice.text;
+    }
+
+    // Anthropic direct / Claude specific
+    if (res.content) return extractContent(res.content);
+    if (res.text) return res.text;
+
+    // Final fallback
+    return typeof res === 'object' ? JSON.stringify(res, null, 2) : String(res);
+}
+
+// Map provider stop reasons onto OpenAI finish_reason values
+function normalizeFinishReason(res) {
+    const raw = res?.finish_reason || res?.choices?.[0]?.finish_reason || res?.stop_reason || res?.message?.stop_reason;
+    if (!raw) return 'stop';
+    if (['max_tokens', 'length', 'MAX_TOKENS'].includes(raw)) return 'length';
+    if (['tool_use', 'tool_calls'].includes(raw)) return 'tool_calls';
+    if (['content_filter', 'SAFETY'].includes(raw)) return 'content_filter';
+    return 'stop';
+}
+
+// Rough token estimate (~4 chars per token) when the provider reports nothing
+function estimateTokens(value) {
+    if (!value) return 0;
+    const str = typeof value === 'string' ? value : JSON.stringify(value);
+    return Math.ceil(str.length / 4);
+}
+
+// Build an OpenAI usage block from whatever Puter returned
+function extractUsage(res, input, text) {
+    const usage = res?.usage;
+    let prompt = null;
+    let completion = null;
+
+    if (Array.isArray(usage)) {
+        // Puter metering format: [{ type: 'prompt', amount }, { type: 'completion', amount }]
+        for (const u of usage) {
+            if (/prompt|input/i.test(u.type)) prompt = (prompt || 0) + (u.amount || 0);
+            if (/completion|output/i.test(u.type)) completion = (completion || 0) + (u.amount || 0);
+        }
+    } else if (usage && typeof usage === 'object') {
+        prompt = usage.prompt_tokens ?? usage.input_tokens ?? null;
+        completion = usage.completion_tokens ?? usage.output_tokens ?? null;
+    }
+
+    if (prompt === null) prompt = estimateTokens(input);
+    if (completion === null) completion = estimateTokens(text);
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+// Cut text at the first occurrence of any stop sequence
+function applyStopSequences(text, stop) {
+    const list = Array.isArray(stop) ? stop : (stop ? [stop] : []);
+    let cut = -1;
+    for (const s of list) {
+        if (typeof s !== 'string' || !s) continue;
+        const idx = text.indexOf(s);
+        if (idx !== -1 && (cut === -1 || idx < cut)) cut = idx;
+    }
+    return cut === -1 ? { text, stopped: false } : { text: text.substring(0, cut), stopped: true };
+}
+
+// Streaming counterpart of applyStopSequences: holds back just enough text to catch split stop sequences
+function createStopFilter(stop) {
+    const list = (Array.isArray(stop) ? stop : (stop ? [stop] : [])).filter(s => typeof s === 'string' && s);
+    const hold = list.reduce((max, s) => Math.max(max, s.length - 1), 0);
+    let buffer = '';
+    let stopped = false;
+    return {
+        get stopped() { return stopped; },
+        // Returns the part of the stream that is safe to emit now
+        push(chunk) {
+            if (stopped) return '';
+            buffer += chunk;
+            const cut = applyStopSequences(buffer, list);
+            if (cut.stopped) {
+                stopped = true;
+                buffer = '';
+                return cut.text;
             }
+            const safe = buffer.substring(0, buffer.length - hold);
+            buffer = buffer.substring(safe.length);
+            return safe;
+        },
+        flush() {
+            const rest = stopped ? '' : buffer;
+            buffer = '';
+            return rest;
+        }
+    };
+}
+
+// =====================
+// Helper: Chat Completion (with tools)
+// =====================
+
+// Models with the "tools" capability take OpenAI tools natively; the rest get the prompt-based emulation
+const TOOL_MODES = ['auto', 'native', 'emulated'];
+
+// Resolve the chat model for an input; image parts need a vision-capable model
+function resolveChatModel(model, input) {
+    const id = models.resolveModel(model, 'chat');
+    const hasImages = Array.isArray(input) && input.some(m => Array.isArray(m.content) && m.content.some(p => p?.type === 'image'));
+    if (hasImages && models.getModel(id) && !models.hasCapability(id, 'vision')) {
+        throw new models.ModelError(`The model '${id}' does not accept images`, 'model_not_supported');
+    }
+    return id;
+}
+
+// Validate tools/tool_choice/tool_mode from a request body (throws ChatRequestError)
+function validateToolRequest({ tools: list, tool_choice, tool_mode }) {
+    if (list === undefined) {
+        if (tool_choice !== undefined && tool_choice !== 'none') {
+            throw new ChatRequestError('tool_choice requires tools', 'tool_choice');
+        }
+        return;
+    }
+    tools.validateTools(list);
+    tools.validateToolChoice(tool_choice, list);
+    if (tool_mode !== undefined && !TOOL_MODES.includes(tool_mode)) {
+        throw new ChatRequestError(`tool_mode must be one of ${TOOL_MODES.join(', ')}`, 'tool_mode');
+    }
+}
+
+// Run one chat turn. Returns { result, text, toolCalls, finishReason }.
+async function completeChat(input, model, extra, { tools: list, tool_choice, tool_mode } = {}, options = {}) {
+    const callChat = async (messages, x) => {
+        return await safeExecute('Chat', async (session) => {
+            const result = await session.evaluate(async (p, m, y) => window.doChat(p, m, y), messages, model, x);
+            // Thrown inside the queued call so quota/auth failures rotate the session
+            if (result && result.error) throw pageError(result.error);
+            return result;
+        }, options);
+    };
+
+    if (!list || tool_choice === 'none') {
+        const result = await callChat(input, extra);
+        return { result, text: normalizeResponse(result), toolCalls: [], finishReason: normalizeFinishReason(result) };
+    }
+
+    const mode = tool_mode && tool_mode !== 'auto' ? tool_mode : (models.hasCapability(model, 'tools') ? 'native' : 'emulated');
+    if (mode === 'native') {
+        const result = await callChat(input, { ...extra, tools: list, ...(tool_choice ? { tool_choice } : {}) });
+        const toolCalls = tools.extractToolCalls(result);
+        return {
+            result,
+            text: normalizeResponse(result),
+            toolCalls,
+            finishReason: toolCalls.length ? 'tool_calls' : normalizeFinishReason(result)
+        };
+    }
+
+    // Emulated: tools described in the prompt, JSON reply validated against the schemas (one repair round)
+    let messages = tools.emulateMessages(input, list, tool_choice);
+    let result = await callChat(messages, extra);
+    let text = normalizeResponse(result);
+    let parsed = tools.parseEmulatedReply(text, list);
+    if (parsed.errors.length) {
+        console.warn(`[Tools] Invalid emulated tool call from ${model}, asking for a fix: ${parsed.errors.join('; ')}`);
+        messages = tools.repairMessages(messages, text, parsed.errors);
+        result = await callChat(messages, extra);
+        text = normalizeResponse(result);
+        parsed = tools.parseEmulatedReply(text, list);
+        if (parsed.errors.length) {
+            throw new ApiError('upstream_error', `Model produced invalid tool call arguments: ${parsed.errors.join('; ')}`);
         }
-        throw e;
     }
+
+    if (parsed.toolCalls.length) {
+        return { result, text: '', toolCalls: parsed.toolCalls, finishReason: 'tool_calls' };
+    }
+    return { result, text, toolCalls: [], finishReason: normalizeFinishReason(result) };
+}
+
+// =====================
+// Helper: Server-Sent Events
+// =====================
+
+function startSSE(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (Render/nginx)
+    });
+    res.flushHeaders();
+
+    // 'close' before the response ended means the client went away
+    const state = { closed: false };
+    res.on('close', () => { if (!res.writableEnded) state.closed = true; });
+    return state;
+}
+
+function sendSSE(res, data) {
+    if (res.writableEnded) return;
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+// Error event on an open stream (the status is already 200, so the code is recorded for the metrics)
+function sendSSEError(res, e) {
+    const err = classifyError(e);
+    res.locals.errorCode = err.code;
+    sendSSE(res, errorBody(err));
+}
+
+function endSSE(res) {
+    if (res.writableEnded) return;
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
+
+// Stream a chat through safeExecute. onChunk returns false to stop generation.
+async function executeChatStream(actionName, input, model, extra, onChunk, options = {}) {
+    let emitted = false;
+    return await safeExecute(actionName, async (session) => {
+        // A rotation retry after partial output would duplicate text on the client
+        if (emitted) throw new ApiError('upstream_error', 'Stream interrupted after partial output');
+        const result = await session.chatStream(input, model, extra, (chunk) => {
+            emitted = true;
+            return onChunk(chunk);
+        });
+        if (result && result.error) throw pageError(result.error);
+        return result;
+    }, options);
 }
 
 // =====================
@@ -656,184 +1523,567 @@ async function safeExecute(actionName, fn) {
 // =====================
 
 // 1. Chat
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', requireScope('chat'), async (req, res) => {
     try {
-        const { prompt, model, messages, system } = req.body;
-        let input = messages || prompt;
-        if (!input && !messages) return res.status(400).json({ error: 'No input provided' });
+        const { prompt, messages, system, stream } = req.body;
+        // Validates roles/parts, prepends system and merges same-role turns
+        const input = normalizeChatInput({ prompt, messages, system });
+        const model = resolveChatModel(req.body.model, input);
 
         // Logging for debug
         if (Array.isArray(input)) {
-            console.log(`[Chat] Payload: Array (${input.length} messages) Model: ${model || 'default'}`);
+            console.log(`[Chat] Payload: Array (${input.length} messages) Model: ${model}${stream ? ' (stream)' : ''}`);
         } else {
-            console.log(`[Chat] Payload: String (${input.length} chars) Model: ${model || 'default'}`);
+            console.log(`[Chat] Payload: String (${input.length} chars) Model: ${model}${stream ? ' (stream)' : ''}`);
         }
 
-        const result = await safeExecute('Chat', async (session) => {
-            return await session.page.evaluate(async (p, m) => window.doChat(p, m), input, model || 'gemini-2.0-flash');
-        });
-
-        if (result && result.error) {
-            const errDetails = typeof result.error === 'object' ? JSON.stringify(result.error, null, 2) : String(result.error);
-            throw new Error(errDetails);
+        if (req.body.tools) {
+            validateToolRequest(req.body);
+            if (stream) throw new ChatRequestError('stream is not supported together with tools here, use /v1/chat/completions', 'stream');
+            const { tools: list, tool_choice, tool_mode } = req.body;
+            const out = await completeChat(input, model, {}, { tools: list, tool_choice, tool_mode }, jobOptions(req));
+            return res.json({ text: out.text, tool_calls: out.toolCalls, finish_reason: out.finishReason, full: out.result });
         }
 
-        // Normalize output (Robust Parsing)
-        let text = '';
-        // Normalize output (Robust Parsing)
-        const normalizeResponse = (res) => {
-            if (!res) return '';
-            if (typeof res === 'string') return res;
-
-            // Helper to extract text from content (string or array)
-            const extractContent = (content) => {
-                if (typeof content === 'string') return content;
-                if (Array.isArray(content)) {
-                    // Try to finding 'text' in any item, or join everything
-                    return content.map(c => {
-                        if (typeof c === 'string') return c;
-                        return c.text || c.content || JSON.stringify(c);
-                    }).join('');
-                }
-                return JSON.stringify(content);
-            };
-
-            // Standard message structures
-            if (res.message) {
-                if (res.message.content) return extractContent(res.message.content);
-                if (res.message.text) return res.message.text;
-                if (typeof res.message === 'string') return res.message;
-            }
-
-            // OpenAI / Choices structure
-            if (res.choices && res.choices[0]) {
-                const choice = res.choices[0];
-                if (choice.message) return extractContent(choice.message.content);
-                if (choice.text) return choice.text;
+        if (stream) {
+            // SSE: one { text } event per chunk, then a final { done, text } event and [DONE]
+            requestQueue.assertCapacity('Chat'); // Reject with 503 before the stream opens
+            const client = startSSE(res);
+            try {
+                const result = await executeChatStream('Chat', input, model, {}, (chunk) => {
+                    if (client.closed) return false;
+                    sendSSE(res, { text: chunk });
+                }, jobOptions(req));
+                sendSSE(res, { done: true, text: result?.text || '' });
+            } catch (e) {
+                console.error(`[Chat] Stream Error:`, e.message);
+                sendSSEError(res, e);
             }
+            return endSSE(res);
+        }
 
-            // Anthropic direct / Claude specific
-            if (res.content) return extractContent(res.content);
-            if (res.text) return res.text;
-
-            // Final fallback
-            return typeof res === 'object' ? JSON.stringify(res, null, 2) : String(res);
-        };
+        const result = await safeExecute('Chat', async (session) => {
+            const result = await session.evaluate(async (p, m) => window.doChat(p, m), input, model);
+            if (result && result.error) throw pageError(result.error);
+            return result;
+        }, jobOptions(req));
 
-        text = normalizeResponse(result);
+        // Normalize output (Robust Parsing)
+        const text = normalizeResponse(result);
         res.json({ text, full: result });
 
     } catch (e) {
-        console.error(`[Chat] Critical Error:`, e);
-        let errMsg = e.message || String(e);
-        if (errMsg === '[object Object]') {
-            try { errMsg = JSON.stringify(e, null, 2); } catch (e3) { errMsg = e.toString(); }
-        }
-        res.status(500).json({ error: errMsg });
+        sendError(res, e, 'Chat');
     }
 });
 
 // 2. Image (Enhanced)
-app.post('/api/image/generate', async (req, res) => {
+// Optional: size, quality, seed, negative_prompt, n. Without n the answer is one URL (or b64 payload),
+// with n it is an array of them.
+app.post('/api/image/generate', requireScope('image'), imageUpload('input_image'), async (req, res) => {
     try {
-        const { prompt, model, input_image } = req.body;
-        // model default: 'gemini-2.5-flash-image-preview' (Nano Banana) or 'black-forest-labs/FLUX.1.1-pro'
+        const { prompt, n } = req.body;
+        if (req.body.async) return submitJob(req, res, 'image', await buildJobInput('image', req));
+        let input_image = req.body.input_image;
+        let input_image_type = null;
+        if (req.file) {
+            input_image = (await fs.promises.readFile(req.file.path)).toString('base64');
+            input_image_type = req.file.mimeType;
+        }
+        // model default: DEFAULT_IMAGE_MODEL, e.g. 'gemini-2.5-flash-image-preview' (Nano Banana) or 'flux-pro'
+        const model = models.resolveModel(req.body.model, input_image ? 'image_edit' : 'image');
+        const { calls } = planImages(req.body, model);
 
-        console.log(`[Image] Generating: "${prompt}" (Img2Img: ${!!input_image})`);
+        console.log(`[Image] Generating: "${prompt}" (Model: ${model}, Img2Img: ${!!input_image}, n: ${n ?? 1})`);
 
-        const result = await safeExecute('Image', async (session) => {
-            return await session.page.evaluate(async (p, m, i) => window.doImage(p, m, i),
-                prompt,
-                model || 'gemini-2.5-flash-image-preview',
-                input_image // Optional Base64
-            );
-        });
+        const { images } = await runImages({ model, input_image, input_image_type, calls }, jobOptions(req));
+        const output = wantsBase64(req)
+            ? await Promise.all(images.map(base64Payload))
+            : images.map(media => mediaUrl(req, media.id));
+        res.json(n === undefined ? output[0] : output);
+
+    } catch (e) {
+        sendError(res, e, 'Image');
+    }
+});
 
-        if (result && result.error) {
-            const errDetails = typeof result.error === 'object' ? JSON.stringify(result.error, null, 2) : String(result.error);
-            throw new Error(errDetails);
+// 2b. Vision (image understanding)
+// JSON: { prompt, images: [url | data URI | { url }], model?, system? }
+// or multipart/form-data with prompt/model fields and one or more "image" files
+app.post('/api/vision', requireScope('chat'), imageUploads(), async (req, res) => {
+    try {
+        const { prompt, system } = req.body;
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            throw new ChatRequestError('prompt must be a non-empty string', 'prompt');
         }
+        const listed = [].concat(req.body.images ?? [], req.body.image ?? []);
+        const images = [...listed.map(i => typeof i === 'string' ? i : i?.url), ...filesAsDataUris(req)];
+        if (images.length === 0) {
+            throw new ChatRequestError('At least one image is required (images: URLs or data URIs, or multipart "image" files)', 'images');
+        }
+
+        // Same validation as chat image parts (format sniffing, size and count limits)
+        const content = [...images.map(url => ({ type: 'image_url', image_url: { url } })), { type: 'text', text: prompt }];
+        const input = normalizeChatInput({ system, messages: [{ role: 'user', content }] });
+        const model = models.resolveModel(req.body.model, 'vision');
+        console.log(`[Vision] ${images.length} image(s), Model: ${model}, Prompt: "${prompt.substring(0, 30)}..."`);
 
-        res.json(result);
+        const out = await completeChat(input, model, {}, {}, jobOptions(req));
+        res.json({ text: out.text, model, images: images.length, finish_reason: out.finishReason, full: out.result });
 
     } catch (e) {
-        console.error('[Image] Error:', e);
-        let errMsg = e.message || String(e);
-        if (errMsg === '[object Object]') {
-            try { errMsg = JSON.stringify(e, null, 2); } catch (e3) { errMsg = e.toString(); }
+        if (e instanceof ChatRequestError) {
+            // Point image errors at images[i] rather than the internal message layout
+            const at = (text) => text && text.replace(/^messages\[0\]\.content\[(\d+)\](\.image_url\.url)?/, 'images[$1]');
+            e.message = at(e.message);
+            e.param = at(e.param);
         }
-        res.status(500).json({ error: errMsg });
+        sendError(res, e, 'Vision');
     }
 });
 
 // 3. Search (Perplexity)
-app.post('/api/tool/search', async (req, res) => {
+// { prompt, model?: any sonar variant, recency?: hour|day|week|month|year,
+//   domains?: ["example.com", "-excluded.com"], include_reasoning?: boolean }
+app.post('/api/tool/search', requireScope('chat'), async (req, res) => {
     try {
-        const { prompt } = req.body;
-        const result = await safeExecute('Search', async (session) => {
-            return await session.page.evaluate(async (p) => window.doSearch(p), prompt);
-        });
-        res.json({ result });
+        const { prompt, include_reasoning } = req.body;
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            throw new ChatRequestError('prompt must be a non-empty string', 'prompt');
+        }
+        if (include_reasoning !== undefined && typeof include_reasoning !== 'boolean') {
+            throw new ChatRequestError('include_reasoning must be a boolean', 'include_reasoning');
+        }
+        const model = models.resolveModel(req.body.model, 'search');
+        const { options, domains } = search.searchOptions(req.body);
+        console.log(`[Search] Model: ${model}, Filters: ${JSON.stringify(options)}, Prompt: "${prompt.substring(0, 30)}..."`);
+
+        const raw = await safeExecute('Search', async (session) => {
+            return await session.evaluate(async (p, m, o) => window.doSearch(p, m, o), prompt, model, options);
+        }, jobOptions(req));
+        const text = normalizeResponse(raw);
+        const result = search.parseSearchResult(raw, text, { includeReasoning: include_reasoning, domains });
+        res.json({ ...result, model, usage: extractUsage(raw, prompt, text) });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e, 'Search');
     }
 });
 
 // 4. Text-to-Speech (TTS)
-app.post('/api/tool/tts', async (req, res) => {
+app.post('/api/tool/tts', requireScope('audio'), async (req, res) => {
     try {
-        const { text, voice } = req.body;
-        console.log(`[TTS] Generating voice for: "${text?.substring(0, 30)}..." (Voice: ${voice || 'default'})`);
-        const audioData = await safeExecute('TTS', async (session) => {
-            return await session.page.evaluate(async (t, v) => window.doTTS(t, v), text, voice);
-        });
-        res.json({ audio: audioData });
+        const { text, voice, strict, fallbacks } = req.body;
+        // Long-form: chunked narration as a background job (progress via /api/jobs/:id)
+        if (req.body.long) return submitJob(req, res, 'narration', await buildJobInput('narration', req));
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new ChatRequestError('text must be a non-empty string', 'text');
+        }
+
+        const model = models.resolveModel(req.body.model, 'tts');
+        // OpenAI voice names (alloy, nova...) map to ElevenLabs IDs; anything else goes through as is
+        const chain = audioFallbacks.resolveChain('tts', { model, voice }, { strict, fallbacks });
+        console.log(`[TTS] Generating voice for: "${text.substring(0, 30)}..." (Voice: ${voice || 'default'}, Model: ${model}, ${chain.length} step(s))`);
+        const media = await runTTS({ text, chain }, jobOptions(req));
+        if (wantsBase64(req)) return res.json({ ...await base64Payload(media), ...media.report });
+        res.json({ audio: mediaUrl(req, media.id), mimeType: media.mimeType, ...media.report });
     } catch (e) {
-        console.error('[TTS] Error:', e);
-        res.status(500).json({ error: e.message || 'Unknown TTS error' });
+        sendError(res, e, 'TTS');
     }
 });
 
 // 5. Speech-to-Text (STT)
-app.post('/api/tool/stt', async (req, res) => {
+// Options: language, prompt, temperature, translate, timestamp_granularities (segment, word),
+// response_format (verbose_json by default: text plus segments; json, text, srt, vtt)
+app.post('/api/tool/stt', requireScope('audio'), sttUpload('audio'), async (req, res) => {
     try {
-        const { audio } = req.body; // Expecting Base64 string or URL
-        if (!audio) return res.status(400).json({ error: 'Audio data/url required' });
-
-        const result = await safeExecute('STT', async (session) => {
-            return await session.page.evaluate(async (a) => window.doSTT(a), audio);
-        });
-        res.json({ text: result.text || result });
+        const { audio, language } = req.body; // Multipart "audio" file, or a Base64 data URI / URL
+        if (!audio && !req.file) return fail(res, 'invalid_request', 'Audio data/url required');
+        const format = req.body.response_format || 'verbose_json';
+        if (!transcripts.RESPONSE_FORMATS.includes(format)) {
+            return fail(res, 'invalid_request', `response_format must be one of ${transcripts.RESPONSE_FORMATS.join(', ')}`, 'response_format');
+        }
+        const model = models.resolveModel(req.body.model, 'stt');
+        const sttOptions = transcripts.transcriptionOptions(req.body, { model });
+        const upload = req.file ? { path: req.file.path, mimeType: req.file.mimeType } : null;
+        const task = sttOptions.translate ? 'translate' : 'transcribe';
+
+        const transcript = await transcribe({ audio, upload, model, sttOptions, task, language: sttOptions.translate ? 'english' : language }, jobOptions(req));
+        const { contentType, body } = transcripts.formatTranscript(transcript, format);
+        if (typeof body === 'string') return res.type(contentType).send(body);
+        res.json(body);
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        sendError(res, e, 'STT');
     }
 });
 
 // 5. Speech-to-Speech (S2S)
-app.post('/api/tool/s2s', async (req, res) => {
+app.post('/api/tool/s2s', requireScope('audio'), audioUpload('audio'), async (req, res) => {
     try {
         const { audio, voice } = req.body;
-        console.log(`[S2S] Converting voice (Voice: ${voice || 'default'})`);
-        const result = await safeExecute('S2S', async (session) => {
-            return await session.page.evaluate(async (a, v) => window.doS2S(a, v), audio, voice);
+        if (!audio && !req.file) return fail(res, 'invalid_request', 'Audio data/url required');
+        if (req.body.async) return submitJob(req, res, 's2s', await buildJobInput('s2s', req));
+        const model = models.resolveModel(req.body.model, 's2s');
+        // Multipart form fields are strings
+        const strict = req.body.strict === 'true' ? true : req.body.strict === 'false' ? false : req.body.strict;
+        const chain = audioFallbacks.resolveChain('s2s', { model, voice }, { strict, fallbacks: req.body.fallbacks });
+        console.log(`[S2S] Converting voice (Voice: ${voice || 'default'}, Model: ${model}, ${chain.length} step(s)${req.file ? `, Upload: ${req.file.mimeType}` : ''})`);
+        const upload = req.file ? { path: req.file.path, mimeType: req.file.mimeType } : null;
+        const media = await runS2S({ audio, upload, chain }, jobOptions(req));
+        if (wantsBase64(req)) return res.json({ ...await base64Payload(media), ...media.report });
+        res.json({ audio: mediaUrl(req, media.id), mimeType: media.mimeType, ...media.report });
+    } catch (e) {
+        sendError(res, e, 'S2S');
+    }
+});
+
+// 7. OpenAI-Compatible Chat Completions
+app.post('/v1/chat/completions', requireScope('chat'), async (req, res) => {
+    try {
+        const { messages, model, temperature, max_tokens, stop, n, user, stream, stream_options } = req.body || {};
+        if (messages === undefined) {
+            return fail(res, 'invalid_request', "'messages' is a required property", 'messages');
+        }
+        const input = normalizeChatInput({ messages });
+        validateToolRequest(req.body);
+        const toolOptions = { tools: req.body.tools, tool_choice: req.body.tool_choice, tool_mode: req.body.tool_mode };
+        const count = n === undefined ? 1 : Number(n);
+        if (!Number.isInteger(count) || count < 1 || count > 8) {
+            return fail(res, 'invalid_request', "'n' must be an integer between 1 and 8", 'n');
+        }
+        if (stream && count > 1) {
+            return fail(res, 'invalid_request', "'n' greater than 1 is not supported when streaming", 'n');
+        }
+
+        const modelName = resolveChatModel(model, input);
+        const extra = {};
+        if (temperature !== undefined) extra.temperature = temperature;
+        if (max_tokens !== undefined) extra.max_tokens = max_tokens;
+
+        console.log(`[OpenAI] Chat Completion: ${messages.length} messages, Model: ${modelName}, n=${count}${stream ? ' (stream)' : ''}${toolOptions.tools ? `, ${toolOptions.tools.length} tools` : ''}${user ? `, user=${user}` : ''}`);
+
+        if (stream) {
+            const id = `chatcmpl-${crypto.randomUUID()}`;
+            const created = Math.floor(Date.now() / 1000);
+            const chunk = (delta, finishReason = null) => ({
+                id, object: 'chat.completion.chunk', created, model: modelName,
+                choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }]
+            });
+
+            requestQueue.assertCapacity('Chat'); // Reject with 503 before the stream opens
+            const client = startSSE(res);
+            const filter = createStopFilter(stop);
+            let text = '';
+            sendSSE(res, chunk({ role: 'assistant', content: '' }));
+
+            if (toolOptions.tools) {
+                // Tool calls need the complete reply, so run it whole and replay it as chunks
+                try {
+                    const out = await completeChat(input, modelName, extra, toolOptions, jobOptions(req));
+                    const cut = applyStopSequences(out.text, stop);
+                    if (cut.text) sendSSE(res, chunk({ content: cut.text }));
+                    if (out.toolCalls.length) {
+                        sendSSE(res, chunk({ tool_calls: out.toolCalls.map((tc, index) => ({ index, ...tc })) }));
+                    }
+                    sendSSE(res, chunk({}, cut.stopped && !out.toolCalls.length ? 'stop' : out.finishReason));
+                    if (stream_options?.include_usage) {
+                        sendSSE(res, { id, object: 'chat.completion.chunk', created, model: modelName, choices: [], usage: extractUsage(out.result, input, cut.text) });
+                    }
+                } catch (e) {
+                    console.error('[OpenAI] Stream Error:', e.message);
+                    sendSSEError(res, e);
+                }
+                return endSSE(res);
+            }
+
+            try {
+                const result = await executeChatStream('Chat', input, modelName, extra, (piece) => {
+                    if (client.closed) return false;
+                    const safe = filter.push(piece);
+                    if (safe) {
+                        text += safe;
+                        sendSSE(res, chunk({ content: safe }));
+                    }
+                    // Nothing more to send once a stop sequence matched
+                    return !filter.stopped;
+                }, jobOptions(req));
+                const rest = filter.flush();
+                if (rest) {
+                    text += rest;
+                    sendSSE(res, chunk({ content: rest }));
+                }
+                sendSSE(res, chunk({}, filter.stopped ? 'stop' : normalizeFinishReason(result)));
+                if (stream_options?.include_usage) {
+                    sendSSE(res, { id, object: 'chat.completion.chunk', created, model: modelName, choices: [], usage: extractUsage(null, input, text) });
+                }
+            } catch (e) {
+                console.error('[OpenAI] Stream Error:', e.message);
+                sendSSEError(res, e);
+            }
+            return endSSE(res);
+        }
+
+        // Choices run one after another on the shared browser page
+        const choices = [];
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        for (let i = 0; i < count; i++) {
+            const out = await completeChat(input, modelName, extra, toolOptions, jobOptions(req));
+            const { text, stopped } = applyStopSequences(out.text, stop);
+            const message = { role: 'assistant', content: text || (out.toolCalls.length ? null : '') };
+            if (out.toolCalls.length) message.tool_calls = out.toolCalls;
+
+            choices.push({
+                index: i,
+                message,
+                logprobs: null,
+                finish_reason: stopped && !out.toolCalls.length ? 'stop' : out.finishReason
+            });
+
+            const u = extractUsage(out.result, input, text);
+            // Prompt tokens are billed once per choice by the provider, report them once like OpenAI
+            usage.prompt_tokens = u.prompt_tokens;
+            usage.completion_tokens += u.completion_tokens;
+        }
+        usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+        res.json({
+            id: `chatcmpl-${crypto.randomUUID()}`,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: modelName,
+            choices,
+            usage
+        });
+
+    } catch (e) {
+        sendError(res, e, 'OpenAI');
+    }
+});
+
+// 7b. OpenAI-Compatible Audio
+const SPEECH_MAX_INPUT = 4096;
+
+app.post('/v1/audio/speech', requireScope('audio'), async (req, res) => {
+    try {
+        const { input, voice, response_format, speed, strict, fallbacks } = req.body || {};
+        if (typeof input !== 'string' || !input.trim()) {
+            return fail(res, 'invalid_request', "'input' is a required property", 'input');
+        }
+        if (input.length > SPEECH_MAX_INPUT) {
+            return fail(res, 'invalid_request', `'input' must be at most ${SPEECH_MAX_INPUT} characters`, 'input');
+        }
+        const voiceId = resolveVoice(voice);
+        if (!voiceId) {
+            return fail(res, 'invalid_request', `Unknown voice '${voice}'. Use one of ${Object.keys(listVoices()).join(', ')} or an ElevenLabs voice ID`, 'voice');
+        }
+        // ElevenLabs through Puter only returns MP3
+        if (response_format !== undefined && response_format !== 'mp3') {
+            return fail(res, 'invalid_request', "Only response_format 'mp3' is supported", 'response_format');
+        }
+        if (speed !== undefined && Number(speed) !== 1) {
+            return fail(res, 'invalid_request', "'speed' other than 1.0 is not supported", 'speed');
+        }
+        const model = models.resolveModel(req.body.model, 'tts');
+        const chain = audioFallbacks.resolveChain('tts', { model, voice: voiceId }, { strict, fallbacks });
+        console.log(`[OpenAI] Speech: ${input.length} chars, Voice: ${voice} (${voiceId}), Model: ${model}`);
+
+        const media = await runTTS({ text: input, chain }, jobOptions(req));
+        const stored = mediaStore.getMedia(media.id);
+        if (!stored) throw new ApiError('internal_error', 'Generated audio is no longer in the media store');
+
+        // Headers go out once the file is open, so a missing file still gets a proper error body
+        const stream = fs.createReadStream(stored.path);
+        stream.on('error', (e) => sendError(res, e, 'OpenAI'));
+        stream.once('open', () => {
+            // The body is raw audio, so what produced it travels in headers
+            const used = media.report.producedBy;
+            res.set({
+                'Content-Type': media.mimeType,
+                'Content-Length': String(stored.size),
+                'X-Audio-Provider': used.provider || 'puter',
+                'X-Audio-Model': used.model || 'default',
+                'X-Audio-Voice': used.voice || 'default',
+                'X-Audio-Fallback': String(media.report.fallback)
+            });
+            stream.pipe(res);
         });
-        res.json({ audio: result });
+
     } catch (e) {
-        console.error('[S2S] Error:', e);
-        res.status(500).json({ error: e.message || 'Unknown S2S error' });
+        sendError(res, e, 'OpenAI');
+    }
+});
+
+// Transcriptions keep the spoken language, translations always produce English
+function transcriptionRoute(task) {
+    return async (req, res) => {
+        try {
+            if (!req.file) {
+                return fail(res, 'invalid_request', "'file' is required (multipart/form-data)", 'file');
+            }
+            const { language } = req.body;
+            const format = req.body.response_format || 'json';
+            if (!transcripts.RESPONSE_FORMATS.includes(format)) {
+                return fail(res, 'invalid_request', `'response_format' must be one of ${transcripts.RESPONSE_FORMATS.join(', ')}`, 'response_format');
+            }
+            const model = models.resolveModel(req.body.model, 'stt');
+
+            const sttOptions = transcripts.transcriptionOptions(req.body, { model, task });
+            console.log(`[OpenAI] ${task === 'translate' ? 'Translation' : 'Transcription'}: ${req.file.mimeType} (${req.file.size} bytes), Model: ${model}, Format: ${format}`);
+
+            const upload = { path: req.file.path, mimeType: req.file.mimeType };
+            const transcript = await transcribe({
+                upload, model, sttOptions, task, language: task === 'translate' ? 'english' : language, param: 'file'
+            }, jobOptions(req));
+            const { contentType, body } = transcripts.formatTranscript(transcript, format);
+            if (typeof body === 'string') return res.type(contentType).send(body);
+            res.json(body);
+
+        } catch (e) {
+            sendError(res, e, 'OpenAI');
+        }
+    };
+}
+
+app.post('/v1/audio/transcriptions', requireScope('audio'), sttUpload('file'), transcriptionRoute('transcribe'));
+app.post('/v1/audio/translations', requireScope('audio'), sttUpload('file'), transcriptionRoute('translate'));
+
+// 7c. OpenAI-Compatible Images
+// Shared by generations and edits: { prompt, model, n, size, quality, response_format, seed?, negative_prompt? }
+async function openAIImages(req, res, { input_image = null, input_image_type = null } = {}) {
+    const { response_format } = req.body;
+    if (response_format !== undefined && !['url', 'b64_json'].includes(response_format)) {
+        return fail(res, 'invalid_request', "'response_format' must be 'url' or 'b64_json'", 'response_format');
+    }
+    const model = models.resolveModel(req.body.model, input_image ? 'image_edit' : 'image');
+    const { n, calls } = planImages(req.body, model);
+    console.log(`[OpenAI] Image${input_image ? ' edit' : ''}: ${n} x "${String(req.body.prompt).substring(0, 30)}...", Model: ${model}`);
+
+    const { images } = await runImages({ model, input_image, input_image_type, calls }, jobOptions(req));
+    const data = await Promise.all(images.map(async (media) => {
+        if (!wantsBase64(req)) return { url: mediaUrl(req, media.id) };
+        const { b64_json } = await base64Payload(media);
+        return { b64_json };
+    }));
+    res.json({ created: Math.floor(Date.now() / 1000), data });
+}
+
+function openAIImageRoute(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (e) {
+            sendError(res, e, 'OpenAI');
+        }
+    };
+}
+
+app.post('/v1/images/generations', requireScope('image'), openAIImageRoute((req, res) => openAIImages(req, res)));
+
+// The image comes as a multipart "image" file or, in JSON, a data URI
+app.post('/v1/images/edits', requireScope('image'), imageUpload('image'), openAIImageRoute(async (req, res) => {
+    if (req.body.mask !== undefined) {
+        return fail(res, 'invalid_request', "'mask' is not supported", 'mask');
+    }
+    if (req.file) {
+        const buffer = await fs.promises.readFile(req.file.path);
+        return openAIImages(req, res, { input_image: buffer.toString('base64'), input_image_type: req.file.mimeType });
+    }
+    const { image } = req.body;
+    const type = dataUriType(image);
+    if (!type || !type.startsWith('image/')) {
+        return fail(res, 'invalid_request', "'image' is required: a multipart file or an image data URI", 'image');
     }
+    return openAIImages(req, res, { input_image: image.substring(image.indexOf(',') + 1), input_image_type: type });
+}));
+
+// 8. Model catalog (any valid key may list it)
+const ANY_SCOPE = apiKeys.SCOPES;
+const MODEL_CREATED = Math.floor(Date.now() / 1000);
+
+function openAIModel(model) {
+    return {
+        id: model.id,
+        object: 'model',
+        created: MODEL_CREATED,
+        owned_by: model.owned_by,
+        capabilities: model.capabilities,
+        context_length: model.context
+    };
+}
+
+app.get('/v1/models', requireScope(ANY_SCOPE, { quota: false }), (req, res) => {
+    res.json({ object: 'list', data: models.listModels().map(openAIModel) });
+});
+
+app.get('/v1/models/:id(*)', requireScope(ANY_SCOPE, { quota: false }), (req, res) => {
+    const model = models.getModel(req.params.id);
+    if (!model) {
+        return fail(res, 'model_not_found', `The model '${req.params.id}' does not exist`, 'model');
+    }
+    res.json(openAIModel(model));
+});
+
+// Full registry: capabilities, context limits, aliases and the default per modality
+app.get('/api/models', requireScope(ANY_SCOPE, { quota: false }), (req, res) => {
+    res.json(models.describeRegistry());
+});
+
+// Generated media (content-hash ids: unguessable and immutable, so no auth and long caching)
+app.get('/media/:id', (req, res) => {
+    const media = mediaStore.getMedia(req.params.id);
+    if (!media) return fail(res, 'not_found', 'Media not found');
+    res.type(media.mimeType);
+    res.sendFile(media.path, { maxAge: '1d', immutable: true }); // Handles Range/ETag
+});
+
+// Prometheus scrape. Gauges are read from the live pool/queue state at scrape time.
+const BREAKER_STATES = ['closed', 'half_open', 'open'];
+const poolMembers = () => [
+    ...pool.sessions.map(s => [s, 'primary']),
+    ...pool.standby.map(s => [s, 'standby']),
+    ...[...pool.retiring].map(s => [s, 'retiring'])
+];
+metrics.registry.gauge('puter_sessions', 'Browser sessions by role and status', ['role', 'status'], () => {
+    const counts = new Map();
+    for (const [s, role] of poolMembers()) {
+        const key = `${role}|${s.status}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts].map(([key, n]) => {
+        const [role, status] = key.split('|');
+        return [{ role, status }, n];
+    });
+});
+metrics.registry.gauge('puter_session_active_requests', 'In-flight requests per live session', ['session', 'role'],
+    () => poolMembers().map(([s, role]) => [{ session: s.id, role }, s.activeRequests]));
+metrics.registry.gauge('puter_browser_memory_bytes', 'Chrome memory per session at the last watchdog sample', ['session', 'kind'],
+    () => pool.watchdog.samples().flatMap(s => [[{ session: s.id, kind: 'rss' }, s.rss], [{ session: s.id, kind: 'js_heap' }, s.heap]]));
+metrics.registry.gauge('puter_breaker_state', 'Circuit breaker state (1 marks the current one)', ['state'],
+    () => BREAKER_STATES.map(state => [{ state }, pool.breaker.state === state ? 1 : 0]));
+metrics.registry.gauge('puter_queue_running', 'Browser calls running, by action', ['action'],
+    () => Object.entries(requestQueue.stats().running).map(([action, n]) => [{ action }, n]));
+metrics.registry.gauge('puter_queue_waiting', 'Browser calls waiting for a slot, by priority lane', ['lane'],
+    () => Object.entries(requestQueue.stats().lanes).map(([lane, n]) => [{ lane }, n]));
+metrics.registry.gauge('puter_process_resident_memory_bytes', 'Resident memory of the Node process', [],
+    () => [[{}, process.memoryUsage().rss]]);
+
+app.get('/metrics', requireScope('admin'), (req, res) => {
+    res.type(metrics.CONTENT_TYPE).send(metrics.registry.render());
 });
 
-// Health & Debug
+// Health & Debug (health stays public for the keep-alive ping)
 app.get('/api/health', (req, res) => {
     res.json({
         primary: pool.primary?.isReady,
         id: pool.primary?.id,
-        active: pool.primary?.activeRequests
+        active: pool.primary?.activeRequests,
+        provider: mock.provider,
+        pool: pool.describe(),
+        watchdog: pool.watchdog.describe(),
+        queue: requestQueue.stats()
     });
 });
 
-app.get('/debug', async (req, res) => {
+app.get('/debug', requireScope('admin'), async (req, res) => {
     let html = '<html><body style="background:#222;color:#0f0;font-family:monospace;"><h1>Browser Status</h1>';
 
     const getSessInfo = async (s, name) => {
@@ -853,7 +2103,8 @@ app.get('/debug', async (req, res) => {
         `;
     };
 
-    html += await getSessInfo(pool.primary, 'PRIMARY');
+    for (const s of pool.sessions) html += await getSessInfo(s, 'ACTIVE');
+    for (const s of pool.standby) html += await getSessInfo(s, 'STANDBY');
     html += '</body></html>';
     res.send(html);
 });
@@ -862,30 +2113,264 @@ app.get('/debug', async (req, res) => {
 // Missing Endpoints & Listen Logic
 // =====================
 
-app.post('/api/auth/token', async (req, res) => {
+app.post('/api/auth/token', requireScope('admin'), async (req, res) => {
     const { token } = req.body;
-    if (!token) return res.status(400).json({ error: 'Token required' });
+    if (!token) return fail(res, 'invalid_request', 'Token required');
 
     try {
         // Update pool cache which syncs to all sessions
         pool.updateToken(token);
         res.json({ success: true });
     } catch (e) {
-        console.error('[Auth] Error:', e);
-        res.status(500).json({ error: e.message });
+        sendError(res, e, 'Auth');
     }
 });
 
-app.get('/api/chats', (req, res) => res.json(chatStore.getAllChats()));
-app.post('/api/chats', (req, res) => {
-    res.status(201).json(chatStore.createChat(req.body.title, req.body.model));
+// =====================
+// API Key Management (admin)
+// =====================
+
+app.get('/api/keys', requireScope('admin'), (req, res) => res.json(apiKeys.listKeys()));
+
+app.post('/api/keys', requireScope('admin'), (req, res) => {
+    try {
+        const { name, scopes, dailyQuota } = req.body || {};
+        res.status(201).json(apiKeys.createKey({ name, scopes, dailyQuota: dailyQuota ?? null }));
+    } catch (e) {
+        fail(res, 'invalid_request', e.message);
+    }
+});
+
+app.delete('/api/keys/:id', requireScope('admin'), (req, res) => {
+    if (!apiKeys.revokeKey(req.params.id)) return fail(res, 'not_found', 'Key not found');
+    res.status(204).end();
+});
+
+// =====================
+// Mock Provider Script (PUTER_PROVIDER=mock / mock-inprocess only)
+// =====================
+
+if (mock.enabled) {
+    app.get('/api/mock/script', requireScope('admin'), (req, res) => res.json(mock.script.describe()));
+
+    // Replace the failure script: { rules: "chat:rate_limit*2,..." } or { rules: [{ method, fail, ms, times }] }
+    app.post('/api/mock/script', requireScope('admin'), (req, res) => {
+        try {
+            res.json(mock.script.load(req.body?.rules));
+        } catch (e) {
+            sendError(res, e, 'Mock');
+        }
+    });
+}
+
+// =====================
+// Conversations (chat-store.js)
+// =====================
+
+app.get('/api/chats', requireScope('chat'), (req, res) => res.json(chatStore.getAllChats()));
+app.post('/api/chats', requireScope('chat'), (req, res) => {
+    const { title, model } = req.body || {};
+    try {
+        res.status(201).json(chatStore.createChat(title, model ? models.resolveModel(model, 'chat') : undefined));
+    } catch (e) {
+        sendError(res, e, 'Chats');
+    }
+});
+
+app.get('/api/chats/:id', requireScope('chat'), (req, res) => {
+    const chat = chatStore.getChat(req.params.id);
+    if (!chat) return fail(res, 'not_found', 'Chat not found');
+    res.json(chat);
+});
+
+app.delete('/api/chats/:id', requireScope('chat'), (req, res) => {
+    if (!chatStore.deleteChat(req.params.id)) return fail(res, 'not_found', 'Chat not found');
+    res.status(204).end();
 });
 
+app.patch('/api/chats/:id', requireScope('chat'), (req, res) => {
+    const { title, model } = req.body || {};
+    if (title === undefined && model === undefined) {
+        return fail(res, 'invalid_request', 'Nothing to update (expected title and/or model)');
+    }
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+        return fail(res, 'invalid_request', 'title must be a non-empty string');
+    }
+    if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+        return fail(res, 'invalid_request', 'model must be a non-empty string');
+    }
+    if (!chatStore.getChat(req.params.id)) return fail(res, 'not_found', 'Chat not found');
+
+    let modelId;
+    try {
+        if (model !== undefined) modelId = models.resolveModel(model.trim(), 'chat');
+    } catch (e) {
+        return sendError(res, e, 'Chats');
+    }
+    if (title !== undefined) chatStore.updateChatTitle(req.params.id, title.trim());
+    if (model !== undefined) chatStore.updateChatModel(req.params.id, modelId);
+    res.json(chatStore.getChat(req.params.id));
+});
+
+// Answer a user turn with the full history. The turn is validated with the history before the
+// call and stored together with the reply, so a bad part or a failed call leaves the chat as it was.
+app.post('/api/chats/:id/messages', requireScope('chat'), async (req, res) => {
+    const chatId = req.params.id;
+    try {
+        const { content, imageUrl } = req.body || {};
+        if (typeof content !== 'string' || !content.trim()) {
+            return fail(res, 'invalid_request', 'content must be a non-empty string');
+        }
+        if (imageUrl !== undefined && imageUrl !== null && typeof imageUrl !== 'string') {
+            return fail(res, 'invalid_request', 'imageUrl must be a string');
+        }
+
+        const chat = chatStore.getChat(chatId);
+        if (!chat) return fail(res, 'not_found', 'Chat not found');
+
+        const turn = { role: 'user', content, imageUrl: imageUrl || null };
+        const history = chatStore.formatMessagesForAI(chatId);
+        let input;
+        try {
+            input = normalizeChatInput({ messages: [...history, chatStore.formatMessageForAI(turn)] });
+        } catch (e) {
+            // Point errors in the new turn's image at imageUrl rather than the internal message layout
+            const at = (text) => text && text.replace(new RegExp(`^messages\\[${history.length}\\]\\.content\\[1\\](\\.image_url\\.url)?`), 'imageUrl');
+            if (e instanceof ChatRequestError) {
+                e.message = at(e.message);
+                e.param = at(e.param);
+            }
+            throw e;
+        }
+        const model = resolveChatModel(chat.model, input);
+        console.log(`[Chats] ${chatId}: ${input.length} messages, Model: ${model}`);
+
+        const result = await safeExecute('Chat', async (session) => {
+            const result = await session.evaluate(async (p, m) => window.doChat(p, m), input, model);
+            if (result && result.error) throw pageError(result.error);
+            return result;
+        }, jobOptions(req));
+
+        const userMessage = chatStore.addMessage(chatId, 'user', turn.content, turn.imageUrl);
+        if (!userMessage) return fail(res, 'not_found', 'Chat not found'); // Deleted during the call
+        const message = chatStore.addMessage(chatId, 'assistant', normalizeResponse(result));
+        res.status(201).json({ userMessage, message });
+
+    } catch (e) {
+        sendError(res, e, 'Chats');
+    }
+});
+
+
+// =====================
+// Async Jobs (long-running generation)
+// =====================
+
+// Job inputs are built and validated by job-input.js
+const JOB_TYPES = {
+    video: { scope: 'video', run: runVideo },
+    image: { scope: 'image', run: runImage },
+    s2s: { scope: 'audio', run: runS2S },
+    narration: { scope: 'audio', run: runNarration }
+};
+const ANY_JOB_SCOPE = [...new Set(Object.values(JOB_TYPES).map(t => t.scope))];
+
+// Start a background job from buildJobInput()'s input and answer 202 with its id
+async function submitJob(req, res, type, input) {
+    const spec = JOB_TYPES[type];
+
+    // Background work yields to interactive requests unless asked otherwise
+    const options = req.get('x-priority') ? jobOptions(req) : { priority: 'low' };
+    const webhook = req.body.webhook || null;
+    try {
+        if (webhook !== null) await jobs.checkWebhook(webhook);
+    } catch (e) {
+        releaseUpload(input.upload);
+        return sendError(res, e, 'Jobs');
+    }
+    try {
+        // Uploaded files were retained past the response; the job deletes them when done.
+        // The job counts as running once one of its calls leaves the request queue.
+        const run = (jobInput, job) => spec.run(jobInput, { ...options, onStart: job.started }, job)
+            .finally(() => releaseUpload(jobInput.upload));
+        const job = jobs.createJob(type, input, run, {
+            webhook,
+            owner: req.apiKey?.id || null
+        });
+        console.log(`[Jobs] Queued ${type} job ${job.id}`);
+        res.status(202).location(`/api/jobs/${job.id}`).json(job);
+    } catch (e) {
+        releaseUpload(input.upload);
+        fail(res, 'invalid_request', e.message);
+    }
+}
+
+// Owner (or admin) only; answers 404 otherwise so ids cannot be probed
+function findOwnJob(req, res) {
+    const job = jobs.getJob(req.params.id);
+    const isAdmin = req.apiKey?.scopes.includes('admin');
+    if (!job || (req.apiKey && !isAdmin && job.owner !== req.apiKey.id)) {
+        fail(res, 'not_found', 'Job not found');
+        return null;
+    }
+    return job;
+}
+
+app.post('/api/jobs', (req, res, next) => {
+    const type = req.body?.type;
+    if (!Object.hasOwn(JOB_TYPES, type)) return fail(res, 'invalid_request', `type must be one of ${Object.keys(JOB_TYPES).join(', ')}`, 'type');
+    requireScope(JOB_TYPES[type].scope)(req, res, next);
+}, async (req, res) => {
+    try {
+        await submitJob(req, res, req.body.type, await buildJobInput(req.body.type, req));
+    } catch (e) {
+        sendError(res, e, 'Jobs');
+    }
+});
+
+app.get('/api/jobs', requireScope(ANY_JOB_SCOPE, { quota: false }), (req, res) => {
+    const isAdmin = !req.apiKey || req.apiKey.scopes.includes('admin');
+    res.json(jobs.listJobs(isAdmin ? undefined : req.apiKey.id));
+});
+
+app.get('/api/jobs/:id', requireScope(ANY_JOB_SCOPE, { quota: false }), (req, res) => {
+    const job = findOwnJob(req, res);
+    if (job) res.json(jobs.describeJob(job));
+});
+
+// Download the stored result (sendFile handles Range requests)
+app.get('/api/jobs/:id/result', requireScope(ANY_JOB_SCOPE, { quota: false }), (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+    if (job.status !== 'succeeded') return fail(res, 'conflict', `Job is ${job.status}`);
+
+    const media = mediaStore.getMedia(job.result.mediaId);
+    if (!media) return fail(res, 'gone', 'Result file has expired');
+    res.type(media.mimeType).sendFile(media.path);
+});
+
+app.delete('/api/jobs/:id', requireScope(ANY_JOB_SCOPE, { quota: false }), (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+    if (job.status === 'queued' || job.status === 'running') {
+        return fail(res, 'conflict', 'Job is still running');
+    }
+    jobs.deleteJob(job.id);
+    res.status(204).end();
+});
+
+// Errors passed to next(): malformed JSON (400), bodies over the limit (413), anything else
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') return fail(res, 'invalid_request', `Malformed JSON body: ${err.message}`);
+    if (err.type === 'entity.too.large') return fail(res, 'payload_too_large', 'Request body too large');
+    sendError(res, err, 'Server');
+});
 
 // Start (Only if running directly)
 if (require.main === module) {
     app.listen(PORT, '0.0.0.0', () => {
         console.log(`Server v2 running on ${PORT}`);
+        apiKeys.bootstrap();
         pool.init();
         startKeepAlive();
     });
@@ -898,6 +2383,7 @@ module.exports = {
     start: () => {
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`Server v2 running on ${PORT}`);
+            apiKeys.bootstrap();
             pool.init();
             startKeepAlive();
         });
@@ -0,0 +1,37 @@
+/**
+ * Storage - Picks the chat storage driver
+ *
+ * Every driver implements the same synchronous interface:
+ *   list()                      -> chats (summaries are fine, messageCount or messages required)
+ *   get(id)                     -> chat with messages | null
+ *   insertChat(chat)
+ *   updateChat(id, fields)      -> boolean (title/model only)
+ *   deleteChat(id)              -> boolean
+ *   appendMessage(chatId, msg)  -> boolean
+ *   flush() / close()           -> Promise, resolves once everything is on disk
+ *
+ * Env:
+ *   CHAT_STORE_DRIVER  'json' (default) or 'sqlite'
+ *   CHAT_STORE_DIR     data directory (default ./data)
+ */
+
+const path = require('path');
+const { createJsonDriver } = require('./json-driver');
+const { createSqliteDriver } = require('./sqlite-driver');
+
+function createDriver(options = {}) {
+    const driver = (options.driver || process.env.CHAT_STORE_DRIVER || 'json').toLowerCase();
+    const dir = options.dir || process.env.CHAT_STORE_DIR || path.join(__dirname, '..', 'data');
+    const jsonFile = path.join(dir, 'chats.json');
+
+    switch (driver) {
+        case 'json':
+            return createJsonDriver({ file: jsonFile });
+        case 'sqlite':
+            return createSqliteDriver({ file: path.join(dir, 'chats.db'), migrateFrom: jsonFile });
+        default:
+            throw new Error(`Unknown CHAT_STORE_DRIVER "${driver}" (expected json or sqlite)`);
+    }
+}
+
+module.exports = { createDriver };
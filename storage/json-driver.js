@@ -0,0 +1,109 @@
+/**
+ * JSON Driver - Keeps chats in memory and persists them to a single JSON file
+ * with atomic (write temp + fsync + rename) writes serialized through a queue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createJsonDriver({ file }) {
+    let chats = new Map(); // id -> chat; a Map, so no id can reach Object.prototype
+    let writing = null;   // Promise of the write in progress
+    let dirty = false;    // State changed since the last write started
+
+    // Load existing file. A broken file is moved aside instead of being overwritten.
+    function load() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (!fs.existsSync(file)) return;
+        const raw = fs.readFileSync(file, 'utf-8');
+        try {
+            chats = new Map(Object.entries(JSON.parse(raw)));
+        } catch (e) {
+            const aside = `${file}.corrupt-${Date.now()}`;
+            fs.renameSync(file, aside);
+            console.error(`[ChatStore] ${file} is unreadable (${e.message}). Moved to ${aside}, starting empty.`);
+            chats = new Map();
+        }
+    }
+
+    async function writeAtomic(data) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        const handle = await fs.promises.open(tmp, 'w');
+        try {
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tmp, file);
+    }
+
+    // Coalescing write queue: bursts of changes collapse into one write of the latest state
+    function scheduleWrite() {
+        dirty = true;
+        if (writing) return writing;
+        writing = (async () => {
+            while (dirty) {
+                dirty = false;
+                try {
+                    await writeAtomic(JSON.stringify(Object.fromEntries(chats), null, 2));
+                } catch (e) {
+                    console.error('[ChatStore] Error saving chats:', e.message);
+                }
+            }
+            writing = null;
+        })();
+        return writing;
+    }
+
+    load();
+
+    return {
+        name: 'json',
+
+        list() {
+            return [...chats.values()];
+        },
+
+        get(id) {
+            return chats.get(id) || null;
+        },
+
+        insertChat(chat) {
+            chats.set(chat.id, chat);
+            scheduleWrite();
+        },
+
+        updateChat(id, fields) {
+            if (!chats.has(id)) return false;
+            Object.assign(chats.get(id), fields);
+            scheduleWrite();
+            return true;
+        },
+
+        deleteChat(id) {
+            if (!chats.delete(id)) return false;
+            scheduleWrite();
+            return true;
+        },
+
+        appendMessage(chatId, message) {
+            const chat = chats.get(chatId);
+            if (!chat) return false;
+            chat.messages.push(message);
+            scheduleWrite();
+            return true;
+        },
+
+        // Resolves once every queued change is on disk
+        flush() {
+            return writing || Promise.resolve();
+        },
+
+        close() {
+            return this.flush();
+        }
+    };
+}
+
+module.exports = { createJsonDriver };
@@ -0,0 +1,157 @@
+/**
+ * SQLite Driver - One row per chat and per message (requires optional better-sqlite3)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadDatabase() {
+    try {
+        return require('better-sqlite3');
+    } catch (e) {
+        throw new Error('SQLite chat storage needs the optional "better-sqlite3" package (npm install better-sqlite3)');
+    }
+}
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS chats (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        model TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS messages (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL,
+        chat_id TEXT NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        content TEXT,
+        image_url TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS messages_chat ON messages(chat_id, seq);
+`;
+
+function createSqliteDriver({ file, migrateFrom }) {
+    const Database = loadDatabase();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+
+    const stmt = {
+        list: db.prepare(`
+            SELECT c.id, c.title, c.model, c.created_at, COUNT(m.seq) AS message_count
+            FROM chats c LEFT JOIN messages m ON m.chat_id = c.id
+            GROUP BY c.id ORDER BY c.created_at`),
+        getChat: db.prepare('SELECT id, title, model, created_at FROM chats WHERE id = ?'),
+        getMessages: db.prepare('SELECT id, role, content, image_url, created_at FROM messages WHERE chat_id = ? ORDER BY seq'),
+        insertChat: db.prepare('INSERT INTO chats (id, title, model, created_at) VALUES (@id, @title, @model, @createdAt)'),
+        deleteChat: db.prepare('DELETE FROM chats WHERE id = ?'),
+        insertMessage: db.prepare(`
+            INSERT INTO messages (id, chat_id, role, content, image_url, created_at)
+            VALUES (@id, @chatId, @role, @content, @imageUrl, @createdAt)`),
+        countChats: db.prepare('SELECT COUNT(*) AS n FROM chats')
+    };
+
+    const toMessage = (row) => ({
+        id: row.id,
+        role: row.role,
+        content: row.content,
+        imageUrl: row.image_url,
+        createdAt: row.created_at
+    });
+
+    function insertChat(chat) {
+        stmt.insertChat.run({ id: chat.id, title: chat.title, model: chat.model || null, createdAt: chat.createdAt });
+        for (const message of chat.messages || []) {
+            appendMessage(chat.id, message);
+        }
+    }
+
+    function appendMessage(chatId, message) {
+        stmt.insertMessage.run({
+            id: message.id,
+            chatId,
+            role: message.role,
+            content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content),
+            imageUrl: message.imageUrl || null,
+            createdAt: message.createdAt
+        });
+    }
+
+    // One-shot import of an existing chats.json into an empty database
+    function migrate() {
+        if (!migrateFrom || !fs.existsSync(migrateFrom)) return;
+        if (stmt.countChats.get().n > 0) {
+            console.warn(`[ChatStore] ${migrateFrom} found but the SQLite store is not empty, skipping migration.`);
+            return;
+        }
+
+        const chats = Object.values(JSON.parse(fs.readFileSync(migrateFrom, 'utf-8')));
+        db.transaction(() => chats.forEach(insertChat))();
+        fs.renameSync(migrateFrom, `${migrateFrom}.migrated`);
+        console.log(`[ChatStore] Migrated ${chats.length} chats from ${migrateFrom} to SQLite.`);
+    }
+
+    migrate();
+
+    return {
+        name: 'sqlite',
+
+        list() {
+            return stmt.list.all().map(row => ({
+                id: row.id,
+                title: row.title,
+                model: row.model,
+                createdAt: row.created_at,
+                messageCount: row.message_count
+            }));
+        },
+
+        get(id) {
+            const row = stmt.getChat.get(id);
+            if (!row) return null;
+            return {
+                id: row.id,
+                title: row.title,
+                model: row.model,
+                createdAt: row.created_at,
+                messages: stmt.getMessages.all(id).map(toMessage)
+            };
+        },
+
+        insertChat: db.transaction(insertChat),
+
+        updateChat(id, fields) {
+            const columns = Object.keys(fields).filter(k => ['title', 'model'].includes(k));
+            if (columns.length === 0) return !!stmt.getChat.get(id);
+            const sql = `UPDATE chats SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`;
+            return db.prepare(sql).run({ ...fields, id }).changes > 0;
+        },
+
+        deleteChat(id) {
+            return stmt.deleteChat.run(id).changes > 0;
+        },
+
+        appendMessage(chatId, message) {
+            if (!stmt.getChat.get(chatId)) return false;
+            appendMessage(chatId, message);
+            return true;
+        },
+
+        // Writes are synchronous, nothing is ever pending
+        flush() {
+            return Promise.resolve();
+        },
+
+        close() {
+            db.close();
+            return Promise.resolve();
+        }
+    };
+}
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// The server with the in-process mock provider (no browser), on its own port and data directories
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const BASE = `http://127.0.0.1:${PORT}`;
+const DATA = fs.mkdtempSync(path.join(os.tmpdir(), 'puter-api-test-'));
+let server;
+
+async function request(method, url, body) {
+    const res = await fetch(BASE + url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+test.before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            PUTER_PROVIDER: 'mock-inprocess',
+            API_AUTH: 'off',
+            CHAT_STORE_DIR: path.join(DATA, 'chats'),
+            JOBS_DIR: path.join(DATA, 'jobs'),
+            MEDIA_DIR: path.join(DATA, 'media'),
+            UPLOAD_DIR: path.join(DATA, 'uploads')
+        },
+        stdio: 'ignore'
+    });
+    for (let i = 0; i < 100; i++) {
+        try {
+            await fetch(`${BASE}/api/chats`);
+            return;
+        } catch (e) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    throw new Error('server did not start');
+});
+
+test.after(async () => {
+    if (server && server.exitCode === null) {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill();
+        await exited;
+    }
+    fs.rmSync(DATA, { recursive: true, force: true });
+});
+
+test('a job cannot name a server file as its upload', async () => {
+    const victim = path.join(DATA, 'victim.txt');
+    fs.writeFileSync(victim, 'keep me');
+    const res = await request('POST', '/api/jobs', { type: 's2s', upload: { path: victim, mimeType: 'audio/mpeg' } });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.param, 'audio');
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(fs.readFileSync(victim, 'utf-8'), 'keep me');
+});
+
+test('invalid jobs are rejected before they are queued', async () => {
+    const res = await request('POST', '/api/jobs', { type: 'narration', text: 'Hello.', pause_ms: -1 });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.param, 'pause_ms');
+    assert.strictEqual((await request('POST', '/api/jobs', { type: '__proto__' })).status, 400);
+});
+
+test('chat ids cannot reach Object.prototype', async () => {
+    const res = await request('PATCH', '/api/chats/__proto__', { title: 'pwned' });
+    assert.strictEqual(res.status, 404);
+
+    const chat = await request('POST', '/api/chats', {});
+    assert.strictEqual(chat.status, 201);
+    assert.notStrictEqual(chat.body.title, 'pwned');
+    assert.strictEqual((await request('GET', '/api/chats/constructor')).status, 404);
+});
+
+test('a chat turn is stored only with its reply', async () => {
+    const { body: chat } = await request('POST', '/api/chats', {});
+    const bad = await request('POST', `/api/chats/${chat.id}/messages`, { content: 'Look', imageUrl: 'not-a-url' });
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual(bad.body.error.param, 'imageUrl');
+    assert.deepStrictEqual((await request('GET', `/api/chats/${chat.id}`)).body.messages, []);
+
+    const ok = await request('POST', `/api/chats/${chat.id}/messages`, { content: 'Hello' });
+    assert.strictEqual(ok.status, 201);
+    const { messages } = (await request('GET', `/api/chats/${chat.id}`)).body;
+    assert.deepStrictEqual(messages.map(m => m.role), ['user', 'assistant']);
+});
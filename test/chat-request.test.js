@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeChatInput, IMAGE_LIMITS } = require('../chat-request');
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const user = (content) => normalizeChatInput({ messages: [{ role: 'user', content }] });
+
+test('a plain prompt passes through, a system prompt wraps it', () => {
+    assert.strictEqual(normalizeChatInput({ prompt: 'hi' }), 'hi');
+    assert.deepStrictEqual(normalizeChatInput({ prompt: 'hi', system: 'be brief' }), [
+        { role: 'system', content: 'be brief' },
+        { role: 'user', content: 'hi' }
+    ]);
+});
+
+test('consecutive turns with the same role are merged', () => {
+    const out = normalizeChatInput({ messages: [{ role: 'user', content: 'a' }, { role: 'user', content: 'b' }] });
+    assert.deepStrictEqual(out, [{ role: 'user', content: 'a\n\nb' }]);
+});
+
+test('bad messages are rejected with the offending param', () => {
+    assert.throws(() => normalizeChatInput({}), { status: 400, param: 'messages' });
+    assert.throws(() => normalizeChatInput({ messages: [] }), { param: 'messages' });
+    assert.throws(() => normalizeChatInput({ messages: [{ role: 'bot', content: 'x' }] }), { param: 'messages[0].role' });
+    assert.throws(() => normalizeChatInput({ messages: [{ role: 'tool', content: 'x' }] }), { param: 'messages[0].tool_call_id' });
+    assert.throws(() => normalizeChatInput({ messages: [{ role: 'system', content: 'x' }] }), { param: 'messages' });
+});
+
+test('image_url data URIs are sniffed and converted to Puter image parts', () => {
+    const [msg] = user([{ type: 'image_url', image_url: { url: `data:image/jpeg;base64,${PNG}` } }]);
+    assert.deepStrictEqual(msg.content[0], { type: 'image', source: { type: 'base64', media_type: 'image/png', data: PNG } });
+});
+
+test('image_url parts must be http(s) URLs or image data URIs', () => {
+    assert.throws(() => user([{ type: 'image_url', image_url: 'foo' }]), { status: 400, param: 'messages[0].content[0]' });
+    assert.throws(() => user([{ type: 'image_url', image_url: 'data:text/plain;base64,aGk=' }]), { status: 415 });
+    assert.throws(() => user([{ type: 'image_url', image_url: 'data:image/png;base64,aGVsbG8=' }]), { status: 415 });
+});
+
+test('Puter image parts get the same checks as image_url parts', () => {
+    const [msg] = user([{ type: 'image', source: { type: 'base64', media_type: 'image/gif', data: PNG } }]);
+    assert.strictEqual(msg.content[0].source.media_type, 'image/png');
+    assert.deepStrictEqual(user([{ type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } }])[0].content[0],
+        { type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } });
+
+    assert.throws(() => user([{ type: 'image', source: { type: 'base64', data: 'aGVsbG8=' } }]), { status: 415 });
+    assert.throws(() => user([{ type: 'image', source: { type: 'url', url: 'file:///etc/passwd' } }]), { status: 400 });
+    assert.throws(() => user([{ type: 'image' }]), { status: 400 });
+});
+
+test('file parts are not supported', () => {
+    assert.throws(() => user([{ type: 'file', puter_path: '/etc/passwd' }]), { status: 400, param: 'messages[0].content[0]' });
+});
+
+test('the image count is limited per request', () => {
+    const parts = Array.from({ length: IMAGE_LIMITS.maxCount + 1 }, () => ({ type: 'image_url', image_url: `data:image/png;base64,${PNG}` }));
+    assert.throws(() => user(parts), { status: 400, param: 'messages' });
+});
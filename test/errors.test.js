@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ApiError, classifyError, pageError } = require('../errors');
+
+test('ApiErrors pass through unchanged', () => {
+    const err = new ApiError('not_found', 'Chat not found');
+    assert.strictEqual(classifyError(err), err);
+});
+
+test('Puter failures map onto codes, rate limits before quota', () => {
+    assert.strictEqual(classifyError(new Error('Rate limit exceeded for quota')).code, 'rate_limited');
+    assert.strictEqual(classifyError({ error: { message: 'Insufficient funds' } }).code, 'quota_exhausted');
+    assert.strictEqual(classifyError({ status: 401, message: 'nope' }).code, 'auth_expired');
+    assert.strictEqual(classifyError(new Error('Protocol error: Target closed')).code, 'browser_crashed');
+});
+
+test('navigation and network errors are not browser crashes', () => {
+    assert.strictEqual(pageError(new Error('net::ERR_CONNECTION_RESET at https://api.puter.com')).code, 'upstream_error');
+    assert.strictEqual(pageError(new Error('Navigation failed because browser has disconnected!')).code, 'browser_crashed');
+});
+
+test('the innermost message wins, also inside a wrapper\'s JSON dump', () => {
+    const wrapped = new Error(JSON.stringify({ error: { code: 'model_not_found', message: 'No such model' } }));
+    const err = pageError(wrapped);
+    assert.strictEqual(err.code, 'model_not_found');
+    assert.strictEqual(err.message, 'No such model');
+});
+
+test('unmatched page failures are upstream errors, our own bugs internal errors', () => {
+    assert.strictEqual(pageError(new Error('Mock upstream failure')).code, 'upstream_error');
+    assert.strictEqual(pageError(new Error('Mock upstream failure')).status, 502);
+    assert.strictEqual(classifyError(new TypeError('x is undefined')).code, 'internal_error');
+});
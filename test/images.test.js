@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planImages, MAX_N } = require('../images');
+
+test('one call per image, seeds incremented so parallel images differ', () => {
+    const { n, calls } = planImages({ prompt: 'cat', n: 3, seed: 7, size: '512x512' }, 'unregistered-model');
+    assert.strictEqual(n, 3);
+    assert.deepStrictEqual(calls.map(c => c.params.seed), [7, 8, 9]);
+    assert.deepStrictEqual(calls[0].params, { width: 512, height: 512, seed: 7 });
+});
+
+test('providers returning several images get a single call', () => {
+    const { calls } = planImages({ prompt: 'cat', n: 2 }, 'black-forest-labs/FLUX.1-schnell');
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].count, 2);
+    assert.strictEqual(calls[0].params.n, 2);
+});
+
+test('sizes are checked against the model', () => {
+    assert.deepStrictEqual(planImages({ prompt: 'cat', size: '1536x1024' }, 'gpt-image-1').calls[0].params, { ratio: { w: 1536, h: 1024 } });
+    assert.throws(() => planImages({ prompt: 'cat', size: '512x512' }, 'dall-e-3'), { status: 400, param: 'size' });
+    assert.throws(() => planImages({ prompt: 'cat', size: '100x100' }, 'black-forest-labs/FLUX.1.1-pro'), { param: 'size' });
+});
+
+test('models without size control ignore the size OpenAI clients always send', () => {
+    const { calls } = planImages({ prompt: 'cat', size: '1024x1024' }, 'gemini-2.5-flash-image-preview');
+    assert.deepStrictEqual(calls[0].params, {});
+});
+
+test('unsupported parameters are rejected, a negative prompt is folded into the prompt', () => {
+    assert.throws(() => planImages({ prompt: 'cat', seed: 1 }, 'dall-e-3'), { param: 'seed' });
+    assert.throws(() => planImages({ prompt: 'cat', quality: 'ultra' }, 'gpt-image-1'), { param: 'quality' });
+    const { calls } = planImages({ prompt: 'cat', negative_prompt: 'dogs' }, 'dall-e-3');
+    assert.strictEqual(calls[0].prompt, 'cat\n\nDo not include: dogs');
+});
+
+test('prompt and n are required to be valid', () => {
+    assert.throws(() => planImages({ prompt: ' ' }, 'dall-e-3'), { param: 'prompt' });
+    assert.throws(() => planImages({ prompt: 'cat', n: MAX_N + 1 }, 'dall-e-3'), { param: 'n' });
+    assert.throws(() => planImages({ prompt: 'cat', n: 1.5 }, 'dall-e-3'), { param: 'n' });
+});
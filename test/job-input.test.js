@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildJobInput } = require('../job-input');
+
+const json = (body) => ({ body });
+
+test('only registered job types are accepted', async () => {
+    for (const type of ['__proto__', 'constructor', 'toString', 'chat']) {
+        await assert.rejects(buildJobInput(type, json({})), { status: 400, param: 'type' });
+    }
+});
+
+test('an `upload` in the JSON body is never taken as the job\'s file', async () => {
+    const upload = { path: '/etc/passwd', mimeType: 'audio/mpeg' };
+    await assert.rejects(buildJobInput('s2s', json({ upload })), { status: 400, param: 'audio' });
+
+    const input = await buildJobInput('s2s', json({ audio: 'https://example.com/a.mp3', upload }));
+    assert.strictEqual(input.upload, null);
+    assert.strictEqual(input.audio, 'https://example.com/a.mp3');
+});
+
+test('a multipart upload is retained for the job', async () => {
+    const req = { body: { strict: 'true' }, file: { path: '/tmp/upload-1', mimeType: 'audio/wav' } };
+    const input = await buildJobInput('s2s', req);
+    assert.deepStrictEqual(input.upload, { path: '/tmp/upload-1', mimeType: 'audio/wav' });
+    assert.strictEqual(input.audio, null);
+    assert.strictEqual(input.chain.length, 1);
+    assert.strictEqual(req.file.retained, true);
+});
+
+test('job inputs hold only their type\'s fields', async () => {
+    const input = await buildJobInput('video', json({ prompt: 'a cat', model: undefined, upload: {}, extra: 1 }));
+    assert.deepStrictEqual(Object.keys(input).sort(), ['model', 'prompt']);
+
+    const image = await buildJobInput('image', json({ prompt: 'a cat', upload: {}, jobId: 'x' }));
+    assert.deepStrictEqual(Object.keys(image).sort(), ['input_image', 'input_image_type', 'model', 'prompt']);
+});
+
+test('jobs get the validation of their synchronous routes', async () => {
+    await assert.rejects(buildJobInput('video', json({})), { status: 400, param: 'prompt' });
+    await assert.rejects(buildJobInput('image', json({ prompt: 'a cat', n: 2 })), { param: 'n' });
+    await assert.rejects(buildJobInput('image', json({ prompt: 'a cat', input_image: 42 })), { param: 'input_image' });
+    await assert.rejects(buildJobInput('narration', json({})), { status: 400, param: 'text' });
+    await assert.rejects(buildJobInput('narration', json({ text: 'Hello.', pause_ms: 99999 })), { param: 'pause_ms' });
+    await assert.rejects(buildJobInput('narration', json({ text: 'Hello.', fallbacks: 'x' })), { param: 'fallbacks' });
+    await assert.rejects(buildJobInput('narration', json({ text: 'Hello.', strict: 'yes' })), { param: 'strict' });
+    await assert.rejects(buildJobInput('s2s', json({ audio: 'x', strict: 'maybe' })), { param: 'strict' });
+});
+
+test('a valid narration keeps its pause setting', async () => {
+    const input = await buildJobInput('narration', json({ text: 'Hello.\n\nWorld.', pause_ms: 400 }));
+    assert.strictEqual(input.text, 'Hello.\n\nWorld.');
+    assert.strictEqual(input.pause_ms, 400);
+    assert.ok(input.chain.length >= 1);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonDriver } = require('../storage/json-driver');
+
+const tempFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'puter-json-driver-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'chats.json');
+};
+
+test('prototype keys are not chats', async (t) => {
+    const driver = createJsonDriver({ file: tempFile(t) });
+    for (const id of ['__proto__', 'constructor', 'toString']) {
+        assert.strictEqual(driver.get(id), null);
+        assert.strictEqual(driver.updateChat(id, { title: 'pwned' }), false);
+        assert.strictEqual(driver.appendMessage(id, { role: 'user', content: 'x' }), false);
+        assert.strictEqual(driver.deleteChat(id), false);
+    }
+    assert.strictEqual({}.title, undefined);
+    await driver.close();
+});
+
+test('chats survive a reload', async (t) => {
+    const file = tempFile(t);
+    const driver = createJsonDriver({ file });
+    driver.insertChat({ id: 'a', title: 'First', messages: [] });
+    driver.appendMessage('a', { role: 'user', content: 'hi' });
+    await driver.close();
+
+    const reloaded = createJsonDriver({ file });
+    assert.deepStrictEqual(reloaded.list(), [{ id: 'a', title: 'First', messages: [{ role: 'user', content: 'hi' }] }]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Registry } = require('../metrics');
+
+test('counters and gauges render in the Prometheus text format', () => {
+    const registry = new Registry();
+    const requests = registry.counter('requests_total', 'Requests', ['route', 'status']);
+    requests.inc({ route: '/v1/chat', status: 200, ignored: 'x' });
+    requests.inc({ route: '/v1/chat', status: 200 }, 2);
+    registry.gauge('sessions', 'Sessions', ['id'], () => [[{ id: 'a"b' }, 1], [{ id: 'c' }, null]]);
+
+    assert.strictEqual(registry.render(), [
+        '# HELP requests_total Requests',
+        '# TYPE requests_total counter',
+        'requests_total{route="/v1/chat",status="200"} 3',
+        '# HELP sessions Sessions',
+        '# TYPE sessions gauge',
+        'sessions{id="a\\"b"} 1',
+        ''
+    ].join('\n'));
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+    const registry = new Registry();
+    const latency = registry.histogram('latency_seconds', 'Latency', [], [1, 5]);
+    latency.observe({}, 0.5);
+    latency.observe({}, 3);
+    latency.observe({}, 10);
+
+    assert.deepStrictEqual(registry.render().trim().split('\n').slice(2), [
+        'latency_seconds_bucket{le="1"} 1',
+        'latency_seconds_bucket{le="5"} 2',
+        'latency_seconds_bucket{le="+Inf"} 3',
+        'latency_seconds_sum 13.5',
+        'latency_seconds_count 3'
+    ]);
+});
+
+test('a failing collect callback only loses its own metric', (t) => {
+    t.mock.method(console, 'error', () => { });
+    const registry = new Registry();
+    registry.gauge('broken', 'Broken', [], () => { throw new Error('boom'); });
+    registry.counter('ok_total', 'Ok').inc();
+    assert.match(registry.render(), /^# HELP ok_total Ok\n# TYPE ok_total counter\nok_total 1\n$/);
+    assert.throws(() => registry.counter('ok_total', 'Again'), /already registered/);
+});
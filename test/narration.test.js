@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planNarration } = require('../narration');
+
+test('text is chunked at sentence boundaries within the chunk size', () => {
+    const text = 'One sentence here. Another one there. A third, slightly longer sentence.';
+    const plan = planNarration(text, { maxChars: 40 });
+    assert.ok(plan.every(item => item.type === 'text' && item.text.length <= 40));
+    assert.strictEqual(plan.map(item => item.text).join(' '), text);
+});
+
+test('pause markers become pauses, merged and trimmed at the ends', () => {
+    const plan = planNarration('[pause]Hello.[pause 2s][pause 500ms]World.<break time="1.5s"/>');
+    assert.deepStrictEqual(plan, [
+        { type: 'text', text: 'Hello.' },
+        { type: 'pause', ms: 2500 },
+        { type: 'text', text: 'World.' }
+    ]);
+});
+
+test('paragraph pauses are inserted between paragraphs', () => {
+    const plan = planNarration('First.\n\nSecond.', { paragraphPauseMs: 300 });
+    assert.deepStrictEqual(plan.map(item => item.type), ['text', 'pause', 'text']);
+    assert.strictEqual(plan[1].ms, 300);
+});
+
+test('invalid narrations are rejected', () => {
+    assert.throws(() => planNarration(''), { status: 400, param: 'text' });
+    assert.throws(() => planNarration(42), { status: 400, param: 'text' });
+    assert.throws(() => planNarration('[pause]'), { status: 400, param: 'text' });
+    assert.throws(() => planNarration('hi', { paragraphPauseMs: 60000 }), { status: 400, param: 'pause_ms' });
+    assert.throws(() => planNarration('hi', { paragraphPauseMs: 'x' }), { param: 'pause_ms' });
+});
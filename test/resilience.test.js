@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, retryPolicy } = require('../resilience');
+
+let now;
+
+// The breaker logs its transitions; the clock only moves when a test ticks it
+test.beforeEach(() => {
+    now = 1700000000000;
+    test.mock.method(Date, 'now', () => now);
+    test.mock.method(console, 'log', () => { });
+    test.mock.method(console, 'warn', () => { });
+});
+test.afterEach(() => test.mock.restoreAll());
+
+test('the breaker opens after `threshold` failures and fails fast with circuit_open', () => {
+    const breaker = new CircuitBreaker({ threshold: 2, window: 60, cooldown: 30 });
+    breaker.recordFailure('rate_limited');
+    assert.doesNotThrow(() => breaker.assertClosed());
+    breaker.recordFailure('rate_limited');
+    assert.ok(breaker.isOpen());
+    assert.throws(() => breaker.assertClosed(), { code: 'circuit_open', status: 503 });
+    assert.strictEqual(breaker.describe().state, 'open');
+});
+
+test('after the cooldown a single probe goes through; success closes, failure reopens longer', () => {
+    const breaker = new CircuitBreaker({ threshold: 1, window: 60, cooldown: 10 });
+    breaker.recordFailure('crash');
+    now += 10000;
+
+    assert.doesNotThrow(() => breaker.assertClosed());
+    assert.strictEqual(breaker.state, 'half_open');
+    assert.throws(() => breaker.assertClosed(), { code: 'circuit_open' });
+
+    breaker.recordFailure('crash');
+    assert.strictEqual(breaker.openUntil - Date.now(), 20000);
+
+    now += 20000;
+    breaker.assertClosed();
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+    assert.doesNotThrow(() => breaker.assertClosed());
+});
+
+test('failures outside the window do not count', () => {
+    const breaker = new CircuitBreaker({ threshold: 2, window: 1, cooldown: 10 });
+    breaker.recordFailure('a');
+    now += 1500;
+    breaker.recordFailure('b');
+    assert.strictEqual(breaker.state, 'closed');
+});
+
+test('retryPolicy defaults to one retry with capped exponential backoff', () => {
+    const { retries, backoff } = retryPolicy('Chat');
+    assert.strictEqual(retries, 1);
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const ms = backoff(attempt);
+        assert.ok(ms >= Math.min(30000, 500 * 2 ** attempt) && ms <= 30000, `attempt ${attempt}: ${ms}`);
+    }
+});
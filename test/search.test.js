@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { searchOptions, parseSearchResult } = require('../search');
+
+test('recency and domains become Perplexity filters', () => {
+    assert.deepStrictEqual(searchOptions({ recency: 'week', domains: 'Example.com, -spam.org' }), {
+        options: { search_recency_filter: 'week', search_domain_filter: ['example.com', '-spam.org'] },
+        domains: ['example.com', '-spam.org']
+    });
+    assert.deepStrictEqual(searchOptions(), { options: {}, domains: [] });
+});
+
+test('invalid filters are rejected', () => {
+    assert.throws(() => searchOptions({ recency: 'decade' }), { status: 400, param: 'recency' });
+    assert.throws(() => searchOptions({ domains: 'not a domain' }), { param: 'domains[0]' });
+    assert.throws(() => searchOptions({ domains: { a: 1 } }), { param: 'domains' });
+    assert.throws(() => searchOptions({ domains: Array.from({ length: 21 }, (_, i) => `d${i}.com`) }), { param: 'domains' });
+});
+
+test('reasoning is split from the answer and only returned on request', () => {
+    assert.deepStrictEqual(parseSearchResult({}, '<think>hmm</think> The answer.'), { answer: 'The answer.', citations: [] });
+    assert.deepStrictEqual(parseSearchResult({}, '<think>hmm</think> The answer.', { includeReasoning: true }),
+        { answer: 'The answer.', reasoning: 'hmm', citations: [] });
+    // An unclosed <think>: the answer never came
+    assert.strictEqual(parseSearchResult({}, 'Partial <think>still thinking').answer, 'Partial');
+});
+
+test('citations keep the provider order and honour the domain filter', () => {
+    const raw = {
+        citations: ['https://a.example.com/1', 'https://b.org/2'],
+        search_results: [{ url: 'https://b.org/2', title: 'B', snippet: 'about b' }]
+    };
+    const { citations } = parseSearchResult(raw, 'See [1] and [2].', { domains: ['-b.org'] });
+    assert.deepStrictEqual(citations, [{ index: 1, url: 'https://a.example.com/1', title: null, snippet: null }]);
+    assert.strictEqual(parseSearchResult(raw, 'x').citations[1].title, 'B');
+});
+
+test('markdown links are the last resort for citations', () => {
+    const { citations } = parseSearchResult({}, 'See [Docs](https://docs.example.com/x).');
+    assert.deepStrictEqual(citations, [{ index: 1, url: 'https://docs.example.com/x', title: 'Docs', snippet: null }]);
+});
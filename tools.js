@@ -0,0 +1,232 @@
+/**
+ * Tools - Function calling for the chat pipeline
+ *
+ * Native mode passes OpenAI `tools`/`tool_choice` to puter.ai.chat and reads tool calls back.
+ * Emulated mode (models without native tools) describes the tools in a system prompt, asks for
+ * a JSON reply and validates the arguments against each tool's JSON schema.
+ */
+
+const crypto = require('crypto');
+const { ChatRequestError } = require('./chat-request');
+
+// =====================
+// Validation
+// =====================
+
+function validateTools(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) {
+        throw new ChatRequestError('tools must be a non-empty array', 'tools');
+    }
+    tools.forEach((tool, i) => {
+        const where = `tools[${i}]`;
+        if (tool?.type !== 'function') throw new ChatRequestError(`${where}.type must be "function"`, `${where}.type`);
+        const fn = tool.function;
+        if (!fn || typeof fn.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(fn.name)) {
+            throw new ChatRequestError(`${where}.function.name must match ^[a-zA-Z0-9_-]{1,64}$`, `${where}.function.name`);
+        }
+        if (fn.parameters !== undefined && (typeof fn.parameters !== 'object' || Array.isArray(fn.parameters))) {
+            throw new ChatRequestError(`${where}.function.parameters must be a JSON schema object`, `${where}.function.parameters`);
+        }
+    });
+}
+
+function validateToolChoice(choice, tools) {
+    if (choice === undefined || ['auto', 'none', 'required'].includes(choice)) return;
+    const name = choice?.function?.name;
+    if (choice?.type !== 'function' || typeof name !== 'string') {
+        throw new ChatRequestError('tool_choice must be "auto", "none", "required" or { type: "function", function: { name } }', 'tool_choice');
+    }
+    if (!tools.some(t => t.function.name === name)) {
+        throw new ChatRequestError(`tool_choice names unknown tool "${name}"`, 'tool_choice');
+    }
+}
+
+// Minimal JSON-schema check (type, properties, required, enum, items, additionalProperties).
+// Returns a list of human readable problems, empty when valid.
+function validateSchema(schema, value, where = 'arguments') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+    const typeOf = (v) => Array.isArray(v) ? 'array' : v === null ? 'null' : (Number.isInteger(v) ? 'integer' : typeof v);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = typeOf(value);
+        const ok = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+        if (!ok) return [`${where} must be ${types.join(' or ')} (got ${actual})`];
+    }
+    if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+        errors.push(`${where} must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${where}.${key} is required`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (key in value) errors.push(...validateSchema(sub, value[key], `${where}.${key}`));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!(key in (schema.properties || {}))) errors.push(`${where}.${key} is not allowed`);
+            }
+        }
+    }
+    if (typeOf(value) === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${where}[${i}]`)));
+    }
+    return errors;
+}
+
+// =====================
+// Native tool calls
+// =====================
+
+function toolCallId() {
+    return `call_${crypto.randomUUID().replace(/-/g, '').substring(0, 24)}`;
+}
+
+function makeToolCall(name, args, id) {
+    return {
+        id: id || toolCallId(),
+        type: 'function',
+        function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args ?? {}) }
+    };
+}
+
+// Pull tool calls out of a Puter result (OpenAI tool_calls or Anthropic tool_use blocks)
+function extractToolCalls(res) {
+    if (!res || typeof res !== 'object') return [];
+    const message = res.message || res.choices?.[0]?.message || res;
+
+    if (Array.isArray(message.tool_calls) && message.tool_calls.length) {
+        return message.tool_calls.map(tc => makeToolCall(tc.function?.name || tc.name, tc.function?.arguments ?? tc.arguments, tc.id));
+    }
+    if (Array.isArray(message.content)) {
+        return message.content
+            .filter(part => part?.type === 'tool_use')
+            .map(part => makeToolCall(part.name, part.input, part.id));
+    }
+    return [];
+}
+
+// =====================
+// Emulated tool calls
+// =====================
+
+function describeTools(tools) {
+    return tools.map(t => {
+        const fn = t.function;
+        return `- ${fn.name}: ${fn.description || 'No description'}\n  parameters (JSON schema): ${JSON.stringify(fn.parameters || { type: 'object', properties: {} })}`;
+    }).join('\n');
+}
+
+function emulationPrompt(tools, toolChoice) {
+    let rule = 'Call a tool only when it is needed to answer; otherwise reply normally in plain text.';
+    if (toolChoice === 'required') rule = 'You MUST call at least one tool.';
+    if (toolChoice?.function?.name) rule = `You MUST call the tool "${toolChoice.function.name}".`;
+
+    return [
+        'You can call the following tools:',
+        describeTools(tools),
+        '',
+        'To call tools, reply with ONLY this JSON and nothing else:',
+        '{"tool_calls": [{"name": "<tool name>", "arguments": { ... }}]}',
+        'The arguments must satisfy the tool\'s parameters schema.',
+        rule
+    ].join('\n');
+}
+
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) return content.map(p => p.text || '').join('');
+    return '';
+}
+
+// Rewrite history for a model without native tools: tool calls and results become plain text
+function emulateMessages(input, tools, toolChoice) {
+    const messages = typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+    const names = {};
+    const out = [{ role: 'system', content: emulationPrompt(tools, toolChoice) }];
+
+    for (const msg of messages) {
+        if (msg.role === 'assistant' && msg.tool_calls) {
+            msg.tool_calls.forEach(tc => { names[tc.id] = tc.function?.name; });
+            const calls = msg.tool_calls.map(tc => {
+                let args = tc.function?.arguments;
+                try { args = JSON.parse(args); } catch (e) { }
+                return { name: tc.function?.name, arguments: args };
+            });
+            const text = contentText(msg.content);
+            out.push({ role: 'assistant', content: `${text ? text + '\n' : ''}${JSON.stringify({ tool_calls: calls })}` });
+        } else if (msg.role === 'tool') {
+            const name = names[msg.tool_call_id] || 'tool';
+            out.push({ role: 'user', content: `Result of ${name} (call ${msg.tool_call_id}):\n${contentText(msg.content)}` });
+        } else {
+            out.push(msg);
+        }
+    }
+
+    // Keep the system prompt first even when the caller sent their own
+    const systems = out.filter(m => m.role === 'system');
+    const rest = out.filter(m => m.role !== 'system');
+    return [{ role: 'system', content: systems.map(m => contentText(m.content)).join('\n\n') }, ...rest];
+}
+
+// Find the {"tool_calls": [...]} object in a reply (bare or inside a ```json fence)
+function findToolJson(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidates = [fenced?.[1], text.substring(text.indexOf('{'), text.lastIndexOf('}') + 1)];
+    for (const candidate of candidates) {
+        if (!candidate || !candidate.includes('tool_calls')) continue;
+        try {
+            const parsed = JSON.parse(candidate.trim());
+            if (Array.isArray(parsed?.tool_calls)) return parsed.tool_calls;
+        } catch (e) { }
+    }
+    return null;
+}
+
+// Parse an emulated reply. Returns { toolCalls, errors }; toolCalls is empty for plain answers.
+function parseEmulatedReply(text, tools) {
+    const calls = findToolJson(text || '');
+    if (!calls) return { toolCalls: [], errors: [] };
+
+    const errors = [];
+    const toolCalls = [];
+    calls.forEach((call, i) => {
+        const tool = tools.find(t => t.function.name === call?.name);
+        if (!tool) {
+            errors.push(`tool_calls[${i}]: unknown tool "${call?.name}"`);
+            return;
+        }
+        let args = call.arguments ?? {};
+        if (typeof args === 'string') {
+            try { args = JSON.parse(args); } catch (e) { errors.push(`tool_calls[${i}].arguments is not valid JSON`); return; }
+        }
+        const problems = validateSchema(tool.function.parameters, args);
+        if (problems.length) {
+            errors.push(...problems.map(p => `${call.name}: ${p}`));
+            return;
+        }
+        toolCalls.push(makeToolCall(call.name, args));
+    });
+    return { toolCalls, errors };
+}
+
+// Follow-up turn asking the model to fix invalid tool arguments
+function repairMessages(messages, reply, errors) {
+    return [
+        ...messages,
+        { role: 'assistant', content: reply },
+        { role: 'user', content: `Your tool call was invalid:\n${errors.map(e => `- ${e}`).join('\n')}\nReply again with ONLY the corrected JSON.` }
+    ];
+}
+
+module.exports = {
+    validateTools,
+    validateToolChoice,
+    validateSchema,
+    extractToolCalls,
+    emulateMessages,
+    parseEmulatedReply,
+    repairMessages
+};
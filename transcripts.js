@@ -0,0 +1,121 @@
+/**
+ * Transcripts - Normalizes speech-to-text results and renders them as json/text/srt/vtt/verbose_json
+ */
+
+const { ChatRequestError } = require('./chat-request');
+
+const RESPONSE_FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+const GRANULARITIES = ['segment', 'word'];
+
+// Only Whisper returns timings (verbose_json); the newer models give plain text
+const TIMED_MODELS = ['whisper-1'];
+
+// Rough speaking rate, only used to time a transcript that came back without segments
+const WORDS_PER_SECOND = 2.5;
+
+// Bring whatever the provider returned (string, { text }, Whisper verbose JSON) into one shape:
+// { text, language, duration, segments: [{ id, start, end, text }], words?: [{ word, start, end }] }
+function normalizeTranscript(raw, { task = 'transcribe', language = null } = {}) {
+    const data = typeof raw === 'string' ? { text: raw } : (raw || {});
+    const text = String(data.text ?? '').trim();
+
+    let segments = Array.isArray(data.segments)
+        ? data.segments.map((s, i) => ({ id: i, start: Number(s.start) || 0, end: Number(s.end) || 0, text: String(s.text || '').trim() }))
+        : [];
+    let duration = Number(data.duration) || (segments.length ? segments[segments.length - 1].end : null);
+
+    // No timing from the provider: one cue covering the whole text
+    if (!segments.length && text) {
+        const end = duration || Math.max(1, Math.round(text.split(/\s+/).length / WORDS_PER_SECOND));
+        segments = [{ id: 0, start: 0, end, text }];
+        duration = duration || end;
+    }
+
+    const transcript = { task, language: data.language || language, duration, text, segments };
+    if (Array.isArray(data.words)) {
+        transcript.words = data.words.map(w => ({ word: String(w.word || '').trim(), start: Number(w.start) || 0, end: Number(w.end) || 0 }));
+    }
+    return transcript;
+}
+
+// Multipart fields are strings, arrays may arrive as "a,b" or as repeated "name[]" fields
+function listField(fields, name) {
+    const value = fields[name] ?? fields[`${name}[]`];
+    if (value === undefined || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+}
+
+// puter.ai.speech2txt options from request fields (JSON or multipart).
+// task 'translate' always translates; otherwise `translate` may be sent as a flag.
+// Throws ChatRequestError for invalid values.
+function transcriptionOptions(fields, { model, task = 'transcribe' } = {}) {
+    const { language, prompt, temperature } = fields;
+    const translate = task === 'translate' || fields.translate === true || fields.translate === 'true';
+    if (fields.translate !== undefined && ![true, false, 'true', 'false'].includes(fields.translate)) {
+        throw new ChatRequestError('translate must be a boolean', 'translate');
+    }
+    for (const [name, value] of Object.entries({ language, prompt })) {
+        if (value !== undefined && typeof value !== 'string') throw new ChatRequestError(`${name} must be a string`, name);
+    }
+    const granularities = listField(fields, 'timestamp_granularities');
+    const unknown = granularities.find(g => !GRANULARITIES.includes(g));
+    if (unknown) {
+        throw new ChatRequestError(`timestamp_granularities must contain only ${GRANULARITIES.join(', ')}`, 'timestamp_granularities');
+    }
+    const timed = TIMED_MODELS.includes(model);
+    if (granularities.length && !timed) {
+        throw new ChatRequestError(`timestamp_granularities is only supported by ${TIMED_MODELS.join(', ')}`, 'timestamp_granularities');
+    }
+
+    const options = { response_format: timed ? 'verbose_json' : 'json' };
+    if (granularities.length) options.timestamp_granularities = granularities;
+    if (translate) options.translate = true;
+    else if (language) options.language = language;
+    if (prompt) options.prompt = prompt;
+    if (temperature !== undefined && temperature !== '') {
+        const value = Number(temperature);
+        if (!Number.isFinite(value) || value < 0 || value > 1) throw new ChatRequestError('temperature must be between 0 and 1', 'temperature');
+        options.temperature = value;
+    }
+    return options;
+}
+
+function timestamp(seconds, separator) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(transcript) {
+    return transcript.segments
+        .map((s, i) => `${i + 1}\n${timestamp(s.start, ',')} --> ${timestamp(s.end, ',')}\n${s.text}\n`)
+        .join('\n');
+}
+
+function toVtt(transcript) {
+    const cues = transcript.segments.map(s => `${timestamp(s.start, '.')} --> ${timestamp(s.end, '.')}\n${s.text}\n`);
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+// Render for a response: { contentType, body } (body is an object for JSON formats)
+function formatTranscript(transcript, format = 'json') {
+    switch (format) {
+        case 'text':
+            return { contentType: 'text/plain', body: transcript.text + '\n' };
+        case 'srt':
+            return { contentType: 'application/x-subrip', body: toSrt(transcript) };
+        case 'vtt':
+            return { contentType: 'text/vtt', body: toVtt(transcript) };
+        case 'verbose_json':
+            return { contentType: 'application/json', body: transcript };
+        default:
+            return { contentType: 'application/json', body: { text: transcript.text } };
+    }
+}
+
+module.exports = {
+    RESPONSE_FORMATS,
+    transcriptionOptions,
+    normalizeTranscript,
+    formatTranscript
+};
@@ -0,0 +1,162 @@
+/**
+ * Uploads - multipart/form-data parsing for routes that take files
+ *
+ * Routes keep accepting JSON (URLs / data URIs); multipart is only parsed when the client sends it.
+ * Single-file uploads (audio, input images) are streamed to temp files, typed by their first bytes
+ * and deleted once the response is done. Errors: 413 too large, 415 unsupported type, 400 otherwise.
+ *
+ * Env:
+ *   UPLOAD_DIR            temp directory (default <os tmp>/puter-uploads)
+ *   UPLOAD_MAX_AUDIO_MB   max audio upload (default 25)
+ *   UPLOAD_MAX_STT_MB     max upload for transcription, which splits long recordings (default 200)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { IMAGE_LIMITS } = require('./chat-request');
+const { sniffMimeType, extensionFor } = require('./media-store');
+const { ApiError, codeForStatus, sendError } = require('./errors');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'puter-uploads');
+const STALE_MS = 6 * 3600 * 1000;
+
+const AUDIO_LIMITS = {
+    types: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/flac', 'audio/webm', 'audio/mp4', 'video/mp4', 'video/webm'],
+    maxBytes: Math.round((Number(process.env.UPLOAD_MAX_AUDIO_MB) || 25) * 1024 * 1024)
+};
+
+const STT_LIMITS = {
+    types: AUDIO_LIMITS.types,
+    maxBytes: Math.round((Number(process.env.UPLOAD_MAX_STT_MB) || 200) * 1024 * 1024)
+};
+
+let dirReady = false;
+
+// Create the temp dir and drop files left behind by a crash
+function ensureDir() {
+    if (dirReady) return;
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    const cutoff = Date.now() - STALE_MS;
+    for (const name of fs.readdirSync(UPLOAD_DIR)) {
+        const file = path.join(UPLOAD_DIR, name);
+        try {
+            if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+        } catch (e) { }
+    }
+    dirReady = true;
+}
+
+// Answer a multer limit error (413 for sizes, 400 otherwise)
+function sendUploadError(res, e) {
+    const status = e.code === 'LIMIT_FILE_SIZE' || e.code === 'LIMIT_FIELD_VALUE' ? 413 : 400;
+    const message = e.code === 'LIMIT_FILE_SIZE' ? `${e.field}: file too large` : `${e.field || 'upload'}: ${e.message}`;
+    sendError(res, new ApiError(codeForStatus(status), message, { param: e.field || null }));
+}
+
+// Wrap a multer middleware: skip non-multipart requests, turn limit errors into responses
+function multipart(handler) {
+    return (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        handler(req, res, (err) => {
+            if (!err) return next();
+            if (err instanceof multer.MulterError) return sendUploadError(res, err);
+            next(err);
+        });
+    };
+}
+
+// Images kept in memory (they are sent inline to the page anyway). Files land in req.files[field].
+// The real format is checked later from the bytes, see chat-request.js.
+function imageUploads(fields = ['image', 'images']) {
+    return multipart(multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: IMAGE_LIMITS.maxBytes, files: IMAGE_LIMITS.maxCount, fieldSize: 1024 * 1024 }
+    }).fields(fields.map(name => ({ name, maxCount: IMAGE_LIMITS.maxCount }))));
+}
+
+// Uploaded files of the given fields as data URIs (typed by content, not by the client's label)
+function filesAsDataUris(req, fields = ['image', 'images']) {
+    return fields.flatMap(name => req.files?.[name] || [])
+        .map(file => `data:${sniffMimeType(file.buffer) || file.mimetype};base64,${file.buffer.toString('base64')}`);
+}
+
+async function readHead(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// One file streamed to disk. On success req.file gets { path, size, mimeType, extension }
+// (mimeType sniffed from the content). The temp file is removed when the response closes,
+// unless the route took it over with retainUpload().
+function fileUpload(field, { maxBytes, types }) {
+    const storage = multer.diskStorage({
+        destination: (req, file, cb) => {
+            try { ensureDir(); cb(null, UPLOAD_DIR); } catch (e) { cb(e); }
+        },
+        filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}.upload`)
+    });
+    const parse = multipart(multer({ storage, limits: { fileSize: maxBytes, files: 1, fieldSize: 1024 * 1024 } }).single(field));
+
+    return (req, res, next) => parse(req, res, async (err) => {
+        if (err || !req.file) return next(err);
+        const file = req.file;
+        res.on('close', () => {
+            if (!file.retained) fs.unlink(file.path, () => { });
+        });
+
+        try {
+            const mimeType = sniffMimeType(await readHead(file.path));
+            if (!types.includes(mimeType)) {
+                const label = mimeType || file.mimetype || 'unknown';
+                return sendError(res, new ApiError('unsupported_media_type', `${field}: unsupported file type ${label} (expected ${types.join(', ')})`, { param: field }));
+            }
+            Object.assign(file, { mimeType, extension: extensionFor(mimeType) });
+            next();
+        } catch (e) {
+            next(e);
+        }
+    });
+}
+
+function audioUpload(field = 'audio') {
+    return fileUpload(field, AUDIO_LIMITS);
+}
+
+// Recordings to transcribe may exceed the provider limit, they are cut into windows later
+function sttUpload(field = 'audio') {
+    return fileUpload(field, STT_LIMITS);
+}
+
+function imageUpload(field = 'image') {
+    return fileUpload(field, IMAGE_LIMITS);
+}
+
+// Keep the request's upload past the response (background jobs). Returns { path, mimeType }.
+function retainUpload(req) {
+    if (!req.file) return null;
+    req.file.retained = true;
+    return { path: req.file.path, mimeType: req.file.mimeType };
+}
+
+function releaseUpload(upload) {
+    if (upload?.path) fs.unlink(upload.path, () => { });
+}
+
+module.exports = {
+    AUDIO_LIMITS,
+    imageUploads,
+    filesAsDataUris,
+    audioUpload,
+    sttUpload,
+    imageUpload,
+    retainUpload,
+    releaseUpload
+};
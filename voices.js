@@ -0,0 +1,71 @@
+/**
+ * Voices - Maps OpenAI voice names onto ElevenLabs voice IDs
+ *
+ * The built-in table can be overridden by a JSON file ({ "alloy": "<voice id>", ... }) or by
+ * VOICE_MAP in the same JSON form. Names not in the table that look like ElevenLabs voice IDs
+ * are passed through unchanged.
+ *
+ * Env:
+ *   VOICES_FILE   path of the table (default ./data/voices.json, optional)
+ *   VOICE_MAP     inline JSON table, applied on top of the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ElevenLabs premade voices picked to roughly match the character of each OpenAI voice
+const BUILTIN_VOICES = {
+    alloy: '21m00Tcm4TlvDq8ikWAM',   // Rachel
+    ash: 'ErXwobaYiN019PkySvjV',     // Antoni
+    ballad: 'TxGEqnHWrfWFTfGW9XjX',  // Josh
+    coral: 'MF3mGyEYCl7XYWbV9V6O',   // Elli
+    echo: 'yoZ06aMxZJJ28mfd3POQ',    // Sam
+    fable: 'AZnzlk1XvdvUeBnXmlld',   // Domi
+    onyx: 'pNInz6obpgDQGcFmaJgB',    // Adam
+    nova: 'EXAVITQu4vr4xnSDxMaL',    // Bella
+    sage: 'VR6AewLTigWG4xSOukaG',    // Arnold
+    shimmer: 'MF3mGyEYCl7XYWbV9V6O', // Elli
+    verse: 'TxGEqnHWrfWFTfGW9XjX'    // Josh
+};
+
+const VOICE_ID_PATTERN = /^[a-zA-Z0-9]{20}$/;
+
+let table = null;
+
+function readJson(source, label) {
+    try {
+        return JSON.parse(source);
+    } catch (e) {
+        throw new Error(`[Voices] Cannot parse ${label}: ${e.message}`);
+    }
+}
+
+function load() {
+    if (table) return table;
+    const file = process.env.VOICES_FILE || path.join(__dirname, 'data', 'voices.json');
+    const fromFile = fs.existsSync(file) ? readJson(fs.readFileSync(file, 'utf-8'), file) : {};
+    const fromEnv = process.env.VOICE_MAP ? readJson(process.env.VOICE_MAP, 'VOICE_MAP') : {};
+
+    table = {};
+    for (const [name, id] of Object.entries({ ...BUILTIN_VOICES, ...fromFile, ...fromEnv })) {
+        table[name.toLowerCase()] = id;
+    }
+    return table;
+}
+
+// ElevenLabs voice ID for an OpenAI name or a raw ID; null when the name is unknown
+function resolveVoice(voice) {
+    if (typeof voice !== 'string' || !voice) return null;
+    const mapped = load()[voice.toLowerCase()];
+    if (mapped) return mapped;
+    return VOICE_ID_PATTERN.test(voice) ? voice : null;
+}
+
+function listVoices() {
+    return { ...load() };
+}
+
+module.exports = {
+    resolveVoice,
+    listVoices
+};
@@ -0,0 +1,228 @@
+/**
+ * Watchdog - Proactive health checks and recycling for the browser pool
+ *
+ * Every interval each session is probed with a cheap getPageStatus heartbeat and sampled through
+ * CDP (Performance.getMetrics for the JS heap, SystemInfo.getProcessInfo + /proc for Chrome's RSS).
+ *  - A crashed target (page closed, browser disconnected, renderer crash) is rotated out at once.
+ *  - A hung or Puter-less page is rotated out after WATCHDOG_STRIKES failed checks in a row.
+ *  - A session past a recycle threshold (RSS, heap, requests served, age) is recycled the next
+ *    time it is idle, or after RECYCLE_GRACE even if it never goes idle.
+ *    Without a standby, requests wait (POOL_WAIT) while the replacement launches, hence the
+ *    preference for idle moments.
+ *
+ * Env:
+ *   WATCHDOG_INTERVAL   seconds between checks (default 30, 0 disables the watchdog)
+ *   WATCHDOG_TIMEOUT    seconds a heartbeat may take before the page counts as hung (default 10)
+ *   WATCHDOG_STRIKES    failed heartbeats in a row before rotation (default 2)
+ *   RECYCLE_RSS_MB      Chrome RSS that triggers a recycle (default 450)
+ *   RECYCLE_HEAP_MB     JS heap that triggers a recycle (default 256)
+ *   RECYCLE_REQUESTS    requests served before a recycle (default 1000, 0 = never)
+ *   RECYCLE_AGE         hours before a recycle (default 12, 0 = never)
+ *   RECYCLE_GRACE       seconds to wait for an idle moment before recycling anyway (default 300)
+ */
+
+const fs = require('fs');
+const { ApiError } = require('./errors');
+
+const MB = 1024 * 1024;
+const HISTORY_SIZE = 20;
+
+const envNumber = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && value >= 0 ? value : fallback;
+};
+
+// Resident memory of a set of processes in bytes (Linux /proc; null where it is not available)
+function processRss(pids) {
+    let total = 0;
+    let found = false;
+    for (const pid of pids) {
+        try {
+            const match = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/^VmRSS:\s+(\d+) kB/m);
+            if (match) {
+                total += Number(match[1]) * 1024;
+                found = true;
+            }
+        } catch (e) { } // Process gone or no /proc
+    }
+    return found ? total : null;
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timeout')), ms); })
+    ]).finally(() => clearTimeout(timer));
+}
+
+class Watchdog {
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.intervalMs = (options.interval ?? envNumber('WATCHDOG_INTERVAL', 30)) * 1000;
+        this.timeoutMs = envNumber('WATCHDOG_TIMEOUT', 10) * 1000;
+        this.strikes = envNumber('WATCHDOG_STRIKES', 2) || 1;
+        this.limits = {
+            rss: envNumber('RECYCLE_RSS_MB', 450) * MB,
+            heap: envNumber('RECYCLE_HEAP_MB', 256) * MB,
+            requests: envNumber('RECYCLE_REQUESTS', 1000),
+            age: envNumber('RECYCLE_AGE', 12) * 3600 * 1000
+        };
+        this.graceMs = envNumber('RECYCLE_GRACE', 300) * 1000;
+
+        this.timer = null;
+        this.running = false;     // a check pass is in progress
+        this.lastRun = null;
+        this.state = new Map();   // session -> { strikes, heartbeatMs, rss, heap, recycle, ... }
+        this.history = [];        // last rotations/recycles, newest first
+    }
+
+    start() {
+        if (!this.intervalMs || this.timer) return;
+        console.log(`[Watchdog] Checking sessions every ${this.intervalMs / 1000}s`);
+        this.timer = setInterval(() => this.check(), this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async check() {
+        if (this.running) return; // A slow pass (hung pages) must not stack up
+        this.running = true;
+        try {
+            const sessions = [...this.pool.sessions, ...this.pool.standby];
+            for (const session of this.state.keys()) {
+                if (!sessions.includes(session)) this.state.delete(session);
+            }
+            for (const session of sessions) {
+                if (session.status !== 'ready') continue; // Launching sessions have their own timeouts
+                await this.checkSession(session);
+            }
+            this.lastRun = new Date().toISOString();
+        } catch (e) {
+            console.error(`[Watchdog] Check failed: ${e.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async checkSession(session) {
+        const state = this.state.get(session) || { strikes: 0, recycle: null };
+        this.state.set(session, state);
+        state.checkedAt = new Date().toISOString();
+
+        // Crashed: nothing to wait for
+        const crash = session.crashReason();
+        if (crash) return this.rotate(session, 'browser_crashed', crash);
+
+        // Heartbeat: a hung renderer never answers, a broken page answers without puter.ai
+        const started = Date.now();
+        let problem = null;
+        try {
+            const status = await withTimeout(session.getPageStatus(), this.timeoutMs);
+            state.heartbeatMs = Date.now() - started;
+            if (!status.api) problem = 'Puter API missing from the page';
+        } catch (e) {
+            state.heartbeatMs = null;
+            problem = `heartbeat timed out after ${this.timeoutMs / 1000}s`;
+        }
+        if (problem) {
+            state.strikes++;
+            state.lastProblem = problem;
+            console.warn(`[Watchdog] Session #${session.id}: ${problem} (strike ${state.strikes}/${this.strikes})`);
+            if (state.strikes >= this.strikes) {
+                const code = problem.startsWith('heartbeat') ? 'browser_crashed' : 'auth_expired';
+                return this.rotate(session, code, problem);
+            }
+            return;
+        }
+        state.strikes = 0;
+
+        // Memory sample
+        try {
+            const metrics = await withTimeout(session.metrics(), this.timeoutMs);
+            state.heap = metrics.jsHeapUsed;
+            state.nodes = metrics.nodes;
+            state.rss = processRss(metrics.pids);
+        } catch (e) {
+            console.warn(`[Watchdog] Session #${session.id}: metrics unavailable (${e.message})`);
+        }
+
+        if (!state.recycle) {
+            const reason = this.recycleReason(session, state);
+            if (reason) {
+                state.recycle = { reason, since: Date.now() };
+                console.log(`[Watchdog] Session #${session.id} scheduled for recycling: ${reason}`);
+            }
+        }
+        if (state.recycle) {
+            const waited = Date.now() - state.recycle.since;
+            if (session.activeRequests === 0 || waited >= this.graceMs) {
+                this.record(session, 'recycle', state.recycle.reason);
+                this.pool.recycle(session, state.recycle.reason);
+                this.state.delete(session);
+            }
+        }
+    }
+
+    recycleReason(session, state) {
+        const { rss, heap, requests, age } = this.limits;
+        if (rss && state.rss && state.rss > rss) return `RSS ${Math.round(state.rss / MB)}MB > ${rss / MB}MB`;
+        if (heap && state.heap && state.heap > heap) return `JS heap ${Math.round(state.heap / MB)}MB > ${heap / MB}MB`;
+        if (requests && session.requestCount >= requests) return `${session.requestCount} requests served`;
+        if (age && Date.now() - session.createdAt > age) return `age over ${age / 3600000}h`;
+        return null;
+    }
+
+    rotate(session, code, reason) {
+        console.warn(`[Watchdog] Session #${session.id} is unhealthy: ${reason}`);
+        this.record(session, 'rotate', reason);
+        this.state.delete(session);
+        this.pool.forceRotate(session, new ApiError(code, reason));
+    }
+
+    record(session, action, reason) {
+        this.history.unshift({ session: session.id, action, reason, at: new Date().toISOString() });
+        this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+    }
+
+    // Last memory sample per session in bytes (metrics)
+    samples() {
+        return [...this.state].map(([session, s]) => ({ id: session.id, rss: s.rss ?? null, heap: s.heap ?? null }));
+    }
+
+    describe() {
+        const mb = (bytes) => bytes ? Math.round(bytes / MB) : null;
+        return {
+            enabled: !!this.timer,
+            interval: this.intervalMs / 1000,
+            lastRun: this.lastRun,
+            limits: {
+                rssMb: mb(this.limits.rss),
+                heapMb: mb(this.limits.heap),
+                requests: this.limits.requests || null,
+                ageHours: this.limits.age / 3600000 || null
+            },
+            sessions: [...this.state].map(([session, s]) => ({
+                id: session.id,
+                checkedAt: s.checkedAt,
+                heartbeatMs: s.heartbeatMs ?? null,
+                strikes: s.strikes,
+                rssMb: mb(s.rss),
+                heapMb: mb(s.heap),
+                domNodes: s.nodes ?? null,
+                requests: session.requestCount,
+                recyclePending: s.recycle ? s.recycle.reason : null
+            })),
+            history: this.history
+        };
+    }
+}
+
+module.exports = {
+    Watchdog,
+    processRss
+};